@@ -5,8 +5,9 @@ const { app, BrowserWindow, ipcMain, shell, dialog } = require('electron');
 const path = require('path');
 
 const { loginForElectron, checkAuth, getAuthMeta, logout } = require('../src/auth');
-const { runExportForElectron } = require('../src/exporter');
+const { ExportEngine } = require('../src/exportEngine');
 const { listNotebooks } = require('../src/navigator');
+const { loadConfig, mergeOptions } = require('../src/configFile');
 const logger = require('../src/utils/logger');
 
 let mainWindow = null;
@@ -115,14 +116,57 @@ ipcMain.handle('select-directory', async (_event, defaultPath) => {
     return filePaths[0];
 });
 
-// Export a notebook
-ipcMain.handle('start-export', async (_event, options) => {
-    const result = await runExportForElectron(
-        options || {},
-        (type, payload) => sendToRenderer(type, payload),
-        ipcMain
-    );
-    return result;
+// Options of the config files, used to pre-fill the export form
+ipcMain.handle('get-config', async () => {
+    try {
+        const { options, sources, warnings } = await loadConfig();
+        warnings.forEach(warning => logger.warn(warning));
+        return { success: true, options, sources };
+    } catch (e) {
+        logger.error(e.message);
+        return { success: false, options: {}, sources: [], error: e.message };
+    }
+});
+
+// Export a notebook — the ExportEngine does the work, we only forward its events
+ipcMain.handle('start-export', async (_event, formOptions) => {
+    // Form fields win over the config files; keys the form has no field for
+    // (waits, maxWait, ...) come from the files.
+    let fileOptions = {};
+    try {
+        ({ options: fileOptions } = await loadConfig());
+    } catch (e) {
+        sendToRenderer('log', { level: 'warn', message: `${e.message} — ignoring config files.` });
+    }
+    const options = mergeOptions(fileOptions, formOptions);
+
+    const engine = new ExportEngine(options, {
+        // Section locked → wait for the user to unlock it via the GUI dialog
+        waitForUnlock: () => new Promise((resolve) => {
+            ipcMain.once('section-unlocked', () => resolve());
+        }),
+        // "Pick sections" → show the scanned tree and wait for the ticked section ids
+        selectSections: (tree) => new Promise((resolve) => {
+            ipcMain.once('sections-selected', (_event, ids) => resolve(ids || []));
+            sendToRenderer('section-tree', { tree });
+        })
+    });
+
+    engine.on('log', ({ level, message }) => {
+        sendToRenderer('log', { level, message });
+        logger.log(level, message);
+    });
+    engine.on('section-locked', ({ name }) => sendToRenderer('section-locked', { sectionName: name }));
+    engine.on('page-start', ({ name, totalPages, totalAssets }) => {
+        sendToRenderer('progress', { pageName: name, totalPages, totalAssets });
+    });
+    engine.on('page-saved', ({ name, totalPages, totalAssets }) => {
+        sendToRenderer('progress', { pageName: name, totalPages, totalAssets });
+    });
+    engine.on('complete', (result) => sendToRenderer('export-complete', result));
+    engine.on('failed', ({ error }) => sendToRenderer('export-error', { error }));
+
+    return engine.run();
 });
 
 // Open the output folder in Finder / Explorer
@@ -59,16 +59,21 @@ const btnSelectDirectory     = $('btn-select-directory');
 const exportNotheadless      = $('export-notheadless');
 const exportNopassasked      = $('export-nopassasked');
 const exportTimeoutSelect    = $('export-timeout');
+const exportInclude          = $('export-include');
+const exportExclude          = $('export-exclude');
 const progressCard           = $('progress-card');
 const progressBar            = $('progress-bar');
 const progressLabel          = $('progress-label');
 const progressCounts         = $('progress-counts');
 const btnExport              = $('btn-export');
+const btnResume              = $('btn-resume');
 const btnOpenOutput          = $('btn-open-output');
 const exportLog              = $('export-log');
 const exportLogClear         = $('export-log-clear');
 const loginDodump            = $('login-dodump');
 const exportDodump           = $('export-dodump');
+const exportFull             = $('export-full');
+const exportPick             = $('export-pick');
 
 const otcModal    = $('otc-modal');
 const otcInput    = $('otc-input');
@@ -76,6 +81,9 @@ const otcSubmit   = $('otc-submit');
 const lockModal   = $('lock-modal');
 const lockSection = $('lock-section-name');
 const lockConfirm = $('lock-confirm');
+const pickModal   = $('pick-modal');
+const pickTree    = $('pick-tree');
+const pickConfirm = $('pick-confirm');
 const manualModal = $('manual-modal');
 const manualConfirm = $('manual-confirm');
 
@@ -223,6 +231,11 @@ function subscribeToEvents(logContainer) {
                 lockModal.classList.remove('hidden');
                 break;
 
+            case 'section-tree':
+                renderSectionTree(payload.tree);
+                pickModal.classList.remove('hidden');
+                break;
+
             case 'progress':
                 progressCard.style.display = '';
                 progressLabel.textContent = `Exporting: ${payload.pageName}`;
@@ -234,10 +247,14 @@ function subscribeToEvents(logContainer) {
                 progressBar.style.width = '100%';
                 progressLabel.textContent = '✓ Export complete!';
                 progressCounts.textContent = `${payload.totalPages} pages · ${payload.totalAssets} assets`;
+                if (payload.unchangedPages) {
+                    progressCounts.textContent += ` · ${payload.unchangedPages} unchanged`;
+                }
                 exportOutputDir = payload.outputDir;
                 btnOpenOutput.style.display = '';
                 appendLog(logContainer, 'success', `Done! Output: ${payload.outputDir}`, true);
                 btnExport.disabled = false;
+                btnResume.disabled = false;
                 btnExport.textContent = '📤 Start Export';
                 break;
 
@@ -246,6 +263,7 @@ function subscribeToEvents(logContainer) {
                 progressBar.style.background = 'var(--error)';
                 appendLog(logContainer, 'error', payload.error, true);
                 btnExport.disabled = false;
+                btnResume.disabled = false;
                 btnExport.textContent = '📤 Start Export';
                 break;
         }
@@ -349,6 +367,55 @@ lockConfirm.addEventListener('click', () => {
     window.electronAPI.send('section-unlocked');
 });
 
+// ─── Section picker modal ─────────────────────────────────────────────────
+
+/** Renders the scanned notebook tree as nested checkboxes (all ticked). */
+function renderSectionTree(tree) {
+    const build = (nodes) => {
+        const list = document.createElement('ul');
+        for (const node of nodes) {
+            const li = document.createElement('li');
+            const label = document.createElement('label');
+            label.className = 'toggle-label';
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.checked = true;
+            box.dataset.id = node.id;
+            box.dataset.type = node.type;
+            const text = document.createElement('span');
+            text.className = 'toggle-text';
+            text.textContent = node.type === 'group'
+                ? `📁 ${node.name}`
+                : `${node.name} ${node.locked ? '(locked)' : `(${node.pages.length} pages)`}`;
+            label.append(box, text);
+            li.appendChild(label);
+            if (node.type === 'group' && node.children.length > 0) {
+                li.appendChild(build(node.children));
+            }
+            list.appendChild(li);
+        }
+        return list;
+    };
+    pickTree.innerHTML = '';
+    pickTree.appendChild(build(tree));
+}
+
+// A group checkbox drives everything inside it
+pickTree.addEventListener('change', (e) => {
+    const box = e.target;
+    if (box.dataset.type !== 'group') return;
+    box.closest('li').querySelectorAll('input[type="checkbox"]').forEach(child => {
+        child.checked = box.checked;
+    });
+});
+
+pickConfirm.addEventListener('click', () => {
+    const ids = Array.from(pickTree.querySelectorAll('input[data-type="section"]:checked'))
+        .map(box => box.dataset.id);
+    pickModal.classList.add('hidden');
+    window.electronAPI.send('sections-selected', ids);
+});
+
 // ─── Notebooks ────────────────────────────────────────────────────────────
 
 let _notebooksLoading = false;
@@ -401,7 +468,7 @@ btnSelectDirectory.addEventListener('click', async () => {
 
 // ─── Export ───────────────────────────────────────────────────────────────
 
-btnExport.addEventListener('click', async () => {
+async function startExport({ resume = false } = {}) {
     let notebook = null;
     let notebookLink = null;
 
@@ -424,7 +491,8 @@ btnExport.addEventListener('click', async () => {
     }
 
     btnExport.disabled = true;
-    btnExport.innerHTML = '<span class="btn-icon">⏳</span> Exporting…';
+    btnResume.disabled = true;
+    btnExport.innerHTML = `<span class="btn-icon">⏳</span> ${resume ? 'Resuming…' : 'Exporting…'}`;
     btnOpenOutput.style.display = 'none';
     progressCard.style.display = '';
     progressBar.style.width = '0%';
@@ -442,11 +510,19 @@ btnExport.addEventListener('click', async () => {
         notheadless: exportNotheadless.checked,
         nopassasked: exportNopassasked.checked,
         dodump: exportDodump.checked,
+        full: exportFull.checked,
+        resume,
+        pick: exportPick.checked,
+        include: exportInclude.value,
+        exclude: exportExclude.value,
         downloadTimeout: parseInt(exportTimeoutSelect.value, 10) || 60000
     });
 
-    // export-complete / export-error events will re-enable the button
-});
+    // export-complete / export-error events will re-enable the buttons
+}
+
+btnExport.addEventListener('click', () => startExport());
+btnResume.addEventListener('click', () => startExport({ resume: true }));
 
 exportLogClear.addEventListener('click', () => { exportLog.innerHTML = ''; });
 
@@ -480,7 +556,35 @@ async function initExportDir() {
     if (exportDirectory) {
         exportDirectory.value = await window.electronAPI.invoke('get-default-directory');
     }
+    await applyConfigFile();
 }
 initExportDir();
 
+/** Pre-fills the export form from the config files (.onenote-exporter.json, user config). */
+async function applyConfigFile() {
+    const { success, options, sources, error } = await window.electronAPI.invoke('get-config');
+    if (!success) {
+        appendLog(exportLog, 'warn', `Config file ignored: ${error}`);
+        return;
+    }
+    if (sources.length === 0) return;
+
+    if (options.exportDir) exportDirectory.value = options.exportDir;
+    if (options.notheadless !== undefined) exportNotheadless.checked = !!options.notheadless;
+    if (options.nopassasked !== undefined) exportNopassasked.checked = !!options.nopassasked;
+    if (options.dodump !== undefined) exportDodump.checked = !!options.dodump;
+    if (options.full !== undefined) exportFull.checked = !!options.full;
+    if (options.pick !== undefined) exportPick.checked = !!options.pick;
+    if (options.include) exportInclude.value = [].concat(options.include).join(', ');
+    if (options.exclude) exportExclude.value = [].concat(options.exclude).join(', ');
+    if (options.downloadTimeout) {
+        const value = String(options.downloadTimeout);
+        if (!Array.from(exportTimeoutSelect.options).some(o => o.value === value)) {
+            exportTimeoutSelect.add(new Option(`${Math.round(options.downloadTimeout / 1000)} seconds (config)`, value));
+        }
+        exportTimeoutSelect.value = value;
+    }
+    appendLog(exportLog, 'info', `Loaded settings from ${sources.join(', ')}`);
+}
+
 appendLog(loginLog, 'info', 'OneNote Exporter ready. Login to get started.');
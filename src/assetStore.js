@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Content-addressed store of the images and attachments of a notebook.
+ *
+ * The same logo or screenshot pasted on many pages is saved once: after a
+ * download, an asset whose bytes match one already saved is deleted and the
+ * page embeds the existing file instead, which may be in the assets folder of
+ * another section. The hash → file index is kept in the export manifest, so
+ * later runs share files with earlier ones; files other pages may embed are
+ * never overwritten (see reserve()).
+ */
+class AssetStore {
+    /**
+     * @param {string} outputBase - Notebook output folder
+     * @param {object} index - { [sha256]: path relative to outputBase }, updated in place
+     *                         (ExportManifest.assets)
+     */
+    constructor(outputBase, index = {}) {
+        this.outputBase = outputBase;
+        this.index = index;
+        this.files = new Set(Object.values(index));
+        this.stats = { deduplicatedAssets: 0, bytesSaved: 0 };
+    }
+
+    /**
+     * Path to download a new asset to: desiredPath, unless that file is in the
+     * store (other pages may embed it), then the first free desiredPath_N.
+     * @param {string} desiredPath
+     * @returns {string}
+     */
+    reserve(desiredPath) {
+        if (!this.files.has(this._relative(desiredPath))) return desiredPath;
+        const ext = path.extname(desiredPath);
+        const base = desiredPath.slice(0, desiredPath.length - ext.length);
+        let counter = 1;
+        let candidate = `${base}_${counter}${ext}`;
+        while (this.files.has(this._relative(candidate)) || fs.existsSync(candidate)) {
+            candidate = `${base}_${++counter}${ext}`;
+        }
+        return candidate;
+    }
+
+    /**
+     * Adds a downloaded file to the store. When an identical file is already
+     * stored, the new one is deleted and the stored one is returned.
+     * @param {string} filePath - File just written
+     * @returns {Promise<string>} - Path of the file to embed
+     */
+    async adopt(filePath) {
+        const body = await fs.readFile(filePath);
+        const hash = crypto.createHash('sha256').update(body).digest('hex');
+        const relativePath = this._relative(filePath);
+        const known = this.index[hash];
+
+        if (known && known !== relativePath && await fs.pathExists(path.join(this.outputBase, known))) {
+            await fs.remove(filePath);
+            this.stats.deduplicatedAssets++;
+            this.stats.bytesSaved += body.length;
+            return path.join(this.outputBase, known);
+        }
+        this.index[hash] = relativePath;
+        this.files.add(relativePath);
+        return filePath;
+    }
+
+    _relative(filePath) {
+        return path.relative(this.outputBase, filePath).split(path.sep).join('/');
+    }
+}
+
+/**
+ * Embed path of an asset from its data-local-* value: a bare file name is in
+ * the page's own assets folder, a path (shared asset) is relative to the vault.
+ * @param {string} localName - 'Page_img_1.png' or 'Section/assets/Other_img_4.png'
+ * @returns {string}
+ */
+function assetPath(localName) {
+    return localName.includes('/') ? localName : `assets/${localName}`;
+}
+
+/**
+ * Same as assetPath(), relative to the note for HTML src/href attributes,
+ * which do not resolve vault paths the way wikilinks do.
+ * @param {string} localName - As for assetPath()
+ * @param {string} noteFolder - Vault-relative folder of the note ('' for the vault root)
+ * @returns {string} - 'assets/Page_img_1.png' or '../Section/assets/Other_img_4.png'
+ */
+function assetHref(localName, noteFolder) {
+    if (!localName.includes('/')) return `assets/${localName}`;
+    return path.posix.relative(noteFolder || '.', localName);
+}
+
+/**
+ * Human-readable size for the export report.
+ * @param {number} bytes
+ * @returns {string} - '512 B', '3.4 KB', '12.0 MB'...
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+module.exports = { AssetStore, assetPath, assetHref, formatBytes };
@@ -0,0 +1,71 @@
+/**
+ * Page layout as an Obsidian canvas (JSON Canvas, https://jsoncanvas.org).
+ *
+ * OneNote pages are free-form: text blocks (outlines) and drawings sit
+ * anywhere on the page, which the Markdown note reads top to bottom. With the
+ * canvas option, each page also gets a <Page>.canvas next to its note where
+ * every block keeps its position and size on the OneNote page.
+ *
+ * getPageContent({ layout: true }) returns the blocks as { id, type, x, y,
+ * width, height } in CSS pixels: 'outline' blocks (their Markdown comes from
+ * the converter, see onOutline in parser.js), 'image' blocks for the images in
+ * outlines and 'ink' drawn outside outlines. Images get their own file node,
+ * so they are taken out of the text of their outline.
+ */
+
+// Obsidian does not let nodes get smaller than this
+const MIN_SIZE = 40;
+
+// An outline holding nothing but one embedded image or drawing
+const SINGLE_EMBED = /^!\[\[([^\]|]+)\]\]$/;
+
+/**
+ * Builds the canvas of a page.
+ * @param {Array} blocks - [{ x, y, width, height, text } | { x, y, width, height, file }];
+ *                         file is relative to the note's folder ('assets/x.svg'), or null when
+ *                         it was not saved
+ * @param {object} options - { folder: folder of the note relative to the vault root ('' at the root) }
+ * @returns {object} - { nodes, edges }
+ */
+function buildCanvas(blocks, { folder = '' } = {}) {
+    // Files in the note's assets folder; shared assets already have their vault path
+    const inVault = (file) => (folder && file.startsWith('assets/') ? `${folder}/${file}` : file);
+    // Files placed as their own node are not repeated in the text of their outline
+    const placed = new Set(blocks.filter(block => block.file).map(block => block.file));
+    const withoutPlaced = (text) => (text || '')
+        .replace(/!\[\[([^\]|]+)\]\]/g, (embed, file) => (placed.has(file) ? '' : embed))
+        .replace(/\n{3,}/g, '\n\n');
+    const kept = blocks
+        .map(block => (block.file ? block : { ...block, text: withoutPlaced(block.text) }))
+        .filter(block => (block.text || '').trim() || block.file);
+    // Page coordinates start at the OneNote canvas corner; start the canvas at the first block
+    const left = Math.min(...kept.map(block => block.x));
+    const top = Math.min(...kept.map(block => block.y));
+
+    const nodes = kept.map((block, i) => {
+        const text = (block.text || '').trim();
+        const embed = text.match(SINGLE_EMBED);
+        return {
+            id: `block-${i + 1}`,
+            ...(block.file || embed
+                ? { type: 'file', file: inVault(block.file || embed[1]) }
+                : { type: 'text', text }),
+            x: Math.round(block.x - left),
+            y: Math.round(block.y - top),
+            width: Math.max(MIN_SIZE, Math.round(block.width)),
+            height: Math.max(MIN_SIZE, Math.round(block.height))
+        };
+    });
+    return { nodes, edges: [] };
+}
+
+/**
+ * Serializes a canvas the way Obsidian writes .canvas files.
+ * @param {object} canvas - Result of buildCanvas()
+ * @returns {string}
+ */
+function canvasJson(canvas) {
+    return JSON.stringify(canvas, null, '\t') + '\n';
+}
+
+module.exports = { buildCanvas, canvasJson };
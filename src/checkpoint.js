@@ -0,0 +1,82 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const CHECKPOINT_FILE = '.onenote-export-checkpoint.json';
+
+function checkpointPath(outputBase) {
+    return path.join(outputBase, CHECKPOINT_FILE);
+}
+
+/** Applies `convert` to the file paths of a pageIdMap entry; canvasPath may be null. */
+function mapPaths(info, convert) {
+    const mapped = { ...info, path: convert(info.path) };
+    if (info.canvasPath) mapped.canvasPath = convert(info.canvasPath);
+    return mapped;
+}
+
+/**
+ * Saves the traversal state of an export in progress.
+ * pageIdMap paths (path, canvasPath) are stored relative to the notebook folder.
+ * The file is written to a temp name first so a crash mid-write never leaves
+ * a truncated checkpoint behind.
+ *
+ * @param {string} outputBase - Notebook output folder
+ * @param {object} state - { completedItems: Set<string>, seenPages: Set<string>, pageIdMap, stats }
+ * @returns {Promise<void>}
+ */
+async function saveCheckpoint(outputBase, state) {
+    const pageIdMap = {};
+    for (const [id, info] of Object.entries(state.pageIdMap)) {
+        pageIdMap[id] = mapPaths(info, filePath => path.relative(outputBase, filePath).split(path.sep).join('/'));
+    }
+
+    const filePath = checkpointPath(outputBase);
+    const tmpPath = filePath + '.tmp';
+    await fs.writeJson(tmpPath, {
+        savedAt: new Date().toISOString(),
+        completedItems: Array.from(state.completedItems),
+        seenPages: Array.from(state.seenPages || []),
+        pageIdMap,
+        stats: state.stats
+    });
+    await fs.move(tmpPath, filePath, { overwrite: true });
+}
+
+/**
+ * Loads the checkpoint of an interrupted export, if any.
+ * @param {string} outputBase - Notebook output folder
+ * @returns {Promise<object|null>} - { savedAt, completedItems: Set<string>, seenPages: Set<string>, pageIdMap, stats } or null
+ */
+async function loadCheckpoint(outputBase) {
+    const filePath = checkpointPath(outputBase);
+    try {
+        if (!(await fs.pathExists(filePath))) return null;
+        const data = await fs.readJson(filePath);
+
+        const pageIdMap = {};
+        for (const [id, info] of Object.entries(data.pageIdMap || {})) {
+            pageIdMap[id] = mapPaths(info, filePath => path.join(outputBase, filePath));
+        }
+
+        return {
+            savedAt: data.savedAt,
+            completedItems: new Set(data.completedItems || []),
+            seenPages: new Set(data.seenPages || []),
+            pageIdMap,
+            stats: data.stats || {}
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+/** Removes the checkpoint once an export has finished. */
+async function clearCheckpoint(outputBase) {
+    await fs.remove(checkpointPath(outputBase));
+}
+
+async function hasCheckpoint(outputBase) {
+    return fs.pathExists(checkpointPath(outputBase));
+}
+
+module.exports = { saveCheckpoint, loadCheckpoint, clearCheckpoint, hasCheckpoint, CHECKPOINT_FILE };
@@ -0,0 +1,70 @@
+/**
+ * Code written in OneNote as monospace paragraphs.
+ *
+ * getPageContent() merges runs of paragraphs set in a monospace font
+ * (Consolas, Courier...) into <pre data-code-block><code>, and marks monospace
+ * words inside ordinary paragraphs with data-monospace. With the
+ * guessCodeLanguage option the fenced blocks get a language guessed from the
+ * code, for syntax highlighting.
+ */
+
+// Checked in order; the first match wins
+const LANGUAGE_RULES = [
+    ['bash', /^#!.*\b(ba|z|da)?sh\b/],
+    ['python', /^#!.*\bpython/],
+    ['javascript', /^#!.*\bnode\b/],
+    ['powershell', /^\s*(Get|Set|New|Remove|Write|Invoke|Import)-[A-Z]\w+|\$env:\w+/m],
+    ['sql', /^\s*(SELECT\b[\s\S]+\bFROM|INSERT\s+INTO|UPDATE\s+\w+\s+SET|DELETE\s+FROM|CREATE\s+(TABLE|INDEX|VIEW))\b/im],
+    ['xml', /^\s*<\?xml/],
+    ['html', /^\s*<(!doctype html|html|head|body|div|span|p|a|ul|table|script|style)\b[\s\S]*>/i],
+    ['python', /^\s*(def \w+\(.*\):|class \w+(\(.*\))?:|from [\w.]+ import |import [\w.]+\s*$|if __name__ ==)/m],
+    ['java', /\b(public|private|protected)\s+(static\s+)?(class|void|[A-Z]\w*)\b|System\.out\.print/],
+    ['csharp', /^\s*using System|Console\.Write(Line)?\(|^\s*namespace\s+[\w.]+/m],
+    ['cpp', /^\s*#include\s*[<"]|\bstd::/m],
+    ['go', /^\s*package \w+\s*$|^\s*func (\(\w+ \*?\w+\) )?\w+\(/m],
+    ['rust', /^\s*(fn \w+\(|let mut |use std::|impl\b)/m],
+    ['javascript', /^\s*(const|let|var) \w+\s*=|=>|\bfunction\s*\w*\s*\(|console\.log\(|require\(['"]/m],
+    ['bash', /^\s*(\$ |sudo |apt(-get)? |yum |brew |npm |npx |yarn |pip3? |git |cd |ls\b|cat |echo |export |curl |wget |docker |kubectl |chmod |mkdir |rm |cp |mv |ssh |grep )/m],
+    ['css', /^\s*[.#]?[\w-]+(\s*[>+~]?\s*[.#]?[\w-]+)*\s*\{[\s\S]*:[\s\S]*;[\s\S]*\}/]
+];
+
+function isJson(code) {
+    const trimmed = code.trim();
+    if (!/^[[{]/.test(trimmed)) return false;
+    try {
+        JSON.parse(trimmed);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function isYaml(code) {
+    const lines = code.split('\n').filter(l => l.trim() && !l.trim().startsWith('#'));
+    return lines.length >= 2 && !/[{};]/.test(code) &&
+        lines.every(l => /^\s*(- )?[\w.-]+:(\s|$)|^\s*- /.test(l));
+}
+
+/**
+ * Guesses the language of a code block.
+ * @param {string} code
+ * @returns {string} - Fence info string ('bash', 'python', ...), '' when unsure
+ */
+function guessLanguage(code) {
+    const text = String(code || '');
+    if (!text.trim()) return '';
+    if (isJson(text)) return 'json';
+    for (const [language, pattern] of LANGUAGE_RULES) {
+        if (pattern.test(text)) return language;
+    }
+    if (isYaml(text)) return 'yaml';
+    return '';
+}
+
+/** Backtick fence longer than any run of backticks in the code. */
+function codeFence(code, minimum = 3) {
+    const longest = Math.max(0, ...(String(code).match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(Math.max(minimum, longest + 1));
+}
+
+module.exports = { guessLanguage, codeFence };
@@ -22,9 +22,23 @@ const AUTH_FILE = path.join(USER_DATA_DIR, 'auth.json');
 const EXPORT_DIR = path.join(USER_DATA_DIR, 'export');
 const ONENOTE_URL = 'https://www.onenote.com/notebooks';
 
+// Upper bounds (ms) of the DOM readiness waits used while walking a notebook.
+// The traversal moves on as soon as the DOM is ready; these only cap slow tenants.
+//  - quiet:         how long a signal must stay unchanged to count as settled
+//  - sameListGrace: when to accept an unchanged page list / canvas (empty section, twin pages)
+const WAIT_TIMEOUTS = {
+    frame: 30000,
+    section: 15000,
+    group: 10000,
+    page: 20000,
+    quiet: 500,
+    sameListGrace: 2000
+};
+
 module.exports = {
     AUTH_FILE,
     EXPORT_DIR,
     ONENOTE_URL,
+    WAIT_TIMEOUTS,
     USER_DATA_DIR,
 };
@@ -0,0 +1,108 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Layered export profile shared by the CLI and the Electron app.
+ *
+ * Layers, each one overriding the previous:
+ *  1. project config  - `.onenote-exporter.json` in the working directory (or --config <file>)
+ *  2. user config     - `<user config dir>/onenote-exporter/config.json`
+ *  3. CLI flags / GUI fields
+ *
+ * Keys are the camelCase names of the export options, e.g.
+ * { "exportDir": "./vault", "nopassasked": true, "exclude": ["**\/Archive*"], "waits": { "page": 40000 } }
+ */
+
+const CONFIG_FILE_NAME = '.onenote-exporter.json';
+
+// Options a config file may set; anything else is reported as a likely typo
+const KNOWN_OPTIONS = [
+    'notebook', 'notebookLink', 'all', 'exportDir',
+    'notheadless', 'nopassasked', 'dodump',
+    'full', 'resume', 'pick', 'include', 'exclude',
+    'downloadTimeout', 'maxWait', 'waits', 'frontmatter',
+    'dateLocale', 'timeZone', 'pageOrder', 'subpages',
+    'noteTags', 'styleFidelity', 'palette', 'inkFormat',
+    'tableStrategy', 'guessCodeLanguage', 'canvas',
+    'dedupeAssets', 'imageMaxWidth', 'imageMaxHeight', 'imageQuality', 'imageWebp'
+];
+
+/** Per-user config file: $XDG_CONFIG_HOME, %APPDATA% or ~/.config. */
+function getUserConfigPath() {
+    const base = process.env.XDG_CONFIG_HOME ||
+        (process.platform === 'win32' && process.env.APPDATA) ||
+        path.join(os.homedir(), '.config');
+    return path.join(base, 'onenote-exporter', 'config.json');
+}
+
+/**
+ * Reads one config file.
+ * @returns {Promise<object|null>} - Its options, or null when the file does not exist.
+ * @throws {Error} when the file exists but is not a JSON object.
+ */
+async function readConfigFile(filePath) {
+    if (!await fs.pathExists(filePath)) return null;
+
+    let data;
+    try {
+        data = await fs.readJson(filePath);
+    } catch (e) {
+        throw new Error(`Invalid config file ${filePath}: ${e.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`Invalid config file ${filePath}: expected a JSON object.`);
+    }
+    return data;
+}
+
+/**
+ * Merges option layers, later layers winning. Unset values (undefined, null,
+ * empty string) never override a lower layer, so an untouched CLI flag or an
+ * empty GUI field keeps the configured value. `waits` is merged key by key.
+ * @param {...object} layers
+ * @returns {object}
+ */
+function mergeOptions(...layers) {
+    const merged = {};
+    for (const layer of layers) {
+        for (const [key, value] of Object.entries(layer || {})) {
+            if (value === undefined || value === null || value === '') continue;
+            merged[key] = key === 'waits' ? { ...merged.waits, ...value } : value;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Loads the project and user config files.
+ * @param {object} options - { configPath: explicit project config (--config), cwd }
+ * @returns {Promise<{ options: object, sources: string[], warnings: string[] }>}
+ */
+async function loadConfig({ configPath, cwd = process.cwd() } = {}) {
+    const projectPath = configPath ? path.resolve(cwd, configPath) : path.join(cwd, CONFIG_FILE_NAME);
+    if (configPath && !await fs.pathExists(projectPath)) {
+        throw new Error(`Config file not found: ${projectPath}`);
+    }
+
+    const sources = [];
+    const warnings = [];
+    const layers = [];
+    for (const filePath of [projectPath, getUserConfigPath()]) {
+        const data = await readConfigFile(filePath);
+        if (!data) continue;
+        sources.push(filePath);
+        // A checked-in profile should not depend on where the CLI is started from
+        if (typeof data.exportDir === 'string') {
+            data.exportDir = path.resolve(path.dirname(filePath), data.exportDir);
+        }
+        layers.push(data);
+        for (const key of Object.keys(data)) {
+            if (!KNOWN_OPTIONS.includes(key)) warnings.push(`Unknown option "${key}" in ${filePath}`);
+        }
+    }
+
+    return { options: mergeOptions(...layers), sources, warnings };
+}
+
+module.exports = { CONFIG_FILE_NAME, KNOWN_OPTIONS, getUserConfigPath, readConfigFile, mergeOptions, loadConfig };
@@ -0,0 +1,212 @@
+/**
+ * Parsing of the date/time line OneNote Web shows under a page title
+ * (.TitleDateTimeOutline), whose format follows the UI language:
+ *
+ *   en-US  Tuesday, March 3, 2026 10:15 AM
+ *   en-GB  Tuesday, 3 March 2026 10:15
+ *   fr     mardi 3 mars 2026 10:15
+ *   de     Dienstag, 3. März 2026 10:15
+ *   es     martes, 3 de marzo de 2026 10:15
+ *   ja     2026年3月3日 10:15
+ *   numeric forms: 3/3/2026 10:15 AM, 03.03.2026 10:15, 2026-03-03 10:15
+ *
+ * Named months are recognized in every supported language regardless of the
+ * locale; the locale only decides day/month order of all-numeric dates.
+ * The time is wall-clock time of the browser, interpreted in `timeZone`
+ * (IANA name) or in the local time zone of this machine.
+ */
+
+// Month names per language (lowercase, accents kept); index = month - 1
+const MONTH_NAMES = {
+    en: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+    fr: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'],
+    de: ['januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember'],
+    es: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+    it: ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno', 'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre'],
+    pt: ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'],
+    nl: ['januari', 'februari', 'maart', 'april', 'mei', 'juni', 'juli', 'augustus', 'september', 'oktober', 'november', 'december']
+};
+
+// Abbreviations and regional spellings not derivable from the full names
+const MONTH_ALIASES = {
+    jänner: 1, sept: 9, setiembre: 9, 'févr': 2, 'déc': 12, 'mär': 3, okt: 10, dez: 12, mrt: 3
+};
+
+const PM_MARKERS = ['pm', 'p.m.', 'nachm.', '午後', '下午', '오후'];
+const AM_MARKERS = ['am', 'a.m.', 'vorm.', '午前', '上午', '오전'];
+
+// Locales writing all-numeric dates month first (3/14/2026)
+const MONTH_FIRST_LOCALES = ['en', 'en-us', 'en-ph', 'fil'];
+
+const stripAccents = (s) => s.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+/** Lookup table word → month number, with and without accents, plus 3-letter forms. */
+const MONTH_LOOKUP = (() => {
+    const table = {};
+    for (const names of Object.values(MONTH_NAMES)) {
+        names.forEach((name, i) => {
+            table[name] = i + 1;
+            table[stripAccents(name)] = i + 1;
+            table[stripAccents(name).slice(0, 3)] = i + 1;
+            table[stripAccents(name).slice(0, 4)] = i + 1;
+        });
+    }
+    for (const [alias, month] of Object.entries(MONTH_ALIASES)) {
+        table[alias] = month;
+        table[stripAccents(alias)] = month;
+    }
+    return table;
+})();
+
+/**
+ * Guesses the UI language of a date string from its month name.
+ * @returns {string|null} - 'en', 'fr', 'de', ... or null (numeric / unknown)
+ */
+function detectDateLocale(text) {
+    const words = String(text || '').toLowerCase().match(/[\p{L}]+/gu) || [];
+    for (const [lang, names] of Object.entries(MONTH_NAMES)) {
+        if (words.some(w => names.includes(w) || names.map(stripAccents).includes(stripAccents(w)))) return lang;
+    }
+    return null;
+}
+
+/** True if one of the AM/PM markers appears as a separate word. */
+function hasMarker(text, markers) {
+    return markers.some(m => {
+        const i = text.indexOf(m);
+        if (i === -1) return false;
+        const before = text[i - 1];
+        const after = text[i + m.length];
+        const isLetter = (c) => c !== undefined && /[a-z\u00c0-\u024f]/.test(c);
+        return !isLetter(before) && !isLetter(after);
+    });
+}
+
+/** Splits the time of day off a date string: { hour, minute, second, rest } or null. */
+function extractTime(text) {
+    const match = text.match(/(\d{1,2})\s*[:h]\s*(\d{2})(?:\s*:\s*(\d{2}))?/i);
+    if (!match) return null;
+
+    let hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2], 10);
+    const second = match[3] ? parseInt(match[3], 10) : 0;
+    const rest = (text.slice(0, match.index) + ' ' + text.slice(match.index + match[0].length)).trim();
+    const lower = rest.toLowerCase();
+
+    const isPm = hasMarker(lower, PM_MARKERS);
+    const isAm = !isPm && hasMarker(lower, AM_MARKERS);
+    if (isPm && hour < 12) hour += 12;
+    if (isAm && hour === 12) hour = 0;
+
+    if (hour > 23 || minute > 59 || second > 59) return null;
+    return { hour, minute, second, rest };
+}
+
+/** Finds year/month/day in what is left once the time is removed. */
+function extractDate(text, locale) {
+    // CJK: 2026年3月3日 / 2026년 3월 3일
+    let match = text.match(/(\d{4})\s*[年년]\s*(\d{1,2})\s*[月월]\s*(\d{1,2})/);
+    if (match) return { year: +match[1], month: +match[2], day: +match[3] };
+
+    // ISO-like: 2026-03-03, 2026/3/3
+    match = text.match(/(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    if (match) return { year: +match[1], month: +match[2], day: +match[3] };
+
+    // Numeric with the year last: 3/3/2026, 03.03.2026, 3-3-26
+    match = text.match(/(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+    if (match) {
+        const monthFirst = MONTH_FIRST_LOCALES.includes(String(locale || '').toLowerCase());
+        let year = +match[3];
+        if (year < 100) year += 2000;
+        return monthFirst
+            ? { year, month: +match[1], day: +match[2] }
+            : { year, month: +match[2], day: +match[1] };
+    }
+
+    // Named month, day and year in any order
+    const words = text.toLowerCase().match(/[\p{L}]+\.?/gu) || [];
+    let month = null;
+    for (const word of words) {
+        const bare = word.replace(/\.$/, '');
+        month = MONTH_LOOKUP[bare] || MONTH_LOOKUP[stripAccents(bare)] || null;
+        if (month) break;
+    }
+    const numbers = (text.match(/\d+/g) || []).map(Number);
+    const year = numbers.find(n => n >= 1000);
+    const day = numbers.find(n => n >= 1 && n <= 31);
+    if (month && year && day) return { year, month, day };
+    return null;
+}
+
+/** Offset (ms) of a time zone from UTC at a given instant. */
+function getTimeZoneOffset(timestamp, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(timestamp)).forEach(p => { parts[p.type] = p.value; });
+    const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/** Converts a wall-clock time in `timeZone` (or local time) to a UTC timestamp. */
+function wallTimeToTimestamp({ year, month, day, hour, minute, second }, timeZone) {
+    if (!timeZone) return new Date(year, month - 1, day, hour, minute, second).getTime();
+
+    const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+    let timestamp = guess - getTimeZoneOffset(guess, timeZone);
+    // Second pass for wall times close to a DST switch
+    const corrected = guess - getTimeZoneOffset(timestamp, timeZone);
+    if (corrected !== timestamp) timestamp = corrected;
+    return timestamp;
+}
+
+/** ISO 8601 with the UTC offset of `timeZone` (or local), e.g. 2026-03-03T10:15:00+01:00. */
+function formatIsoWithOffset(timestamp, timeZone) {
+    const offsetMinutes = timeZone
+        ? Math.round(getTimeZoneOffset(timestamp, timeZone) / 60000)
+        : -new Date(timestamp).getTimezoneOffset();
+    const wall = new Date(timestamp + offsetMinutes * 60000);
+    const pad = (n) => String(n).padStart(2, '0');
+    const sign = offsetMinutes >= 0 ? '+' : '-';
+    const abs = Math.abs(offsetMinutes);
+    return `${wall.getUTCFullYear()}-${pad(wall.getUTCMonth() + 1)}-${pad(wall.getUTCDate())}` +
+        `T${pad(wall.getUTCHours())}:${pad(wall.getUTCMinutes())}:${pad(wall.getUTCSeconds())}` +
+        `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * Parses a OneNote page date/time string.
+ * @param {string} text - content.dateTime
+ * @param {object} options - { locale: UI language of OneNote (e.g. 'en-US', 'fr-FR'),
+ *                             timeZone: IANA zone the times are shown in }
+ * @returns {{ timestamp: number, iso: string, locale: string|null }|null} - null when unparsable
+ */
+function parseOneNoteDate(text, { locale, timeZone } = {}) {
+    if (!text || !String(text).trim()) return null;
+
+    const cleaned = String(text).replace(/\s+/g, ' ').trim();
+    const detected = detectDateLocale(cleaned);
+    const effectiveLocale = locale || detected;
+
+    const time = extractTime(cleaned) || { hour: 0, minute: 0, second: 0, rest: cleaned };
+    const date = extractDate(time.rest, effectiveLocale);
+    if (!date || date.month < 1 || date.month > 12) return null;
+    // Reject days the month does not have (31 February)
+    if (new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDate() !== date.day) return null;
+
+    const parts = { ...date, hour: time.hour, minute: time.minute, second: time.second };
+    let timestamp;
+    try {
+        timestamp = wallTimeToTimestamp(parts, timeZone);
+    } catch (e) {
+        throw new Error(`Invalid time zone "${timeZone}"`);
+    }
+    if (Number.isNaN(timestamp)) return null;
+
+    return { timestamp, iso: formatIsoWithOffset(timestamp, timeZone), locale: effectiveLocale || null };
+}
+
+module.exports = { parseOneNoteDate, detectDateLocale };
@@ -218,8 +218,181 @@ async function handleOfficeOnlineDownload(page, outputPath) {
     }
 }
 
+// URLs OneNote Web and SharePoint serve file contents from
+const FILE_URL_PATTERNS = [
+    /getimage\.ashx/i,
+    /\/wopi\/files\/[^?]*\/contents/i,
+    /download\.aspx/i,
+    /[?&]download=1(&|$)/i
+];
+
+// Responses that are never the file: page, script and API traffic
+const NON_FILE_TYPES = /text\/html|application\/json|javascript|text\/css|text\/event-stream/i;
+
+// Content types that say nothing about the file
+const GENERIC_TYPES = /^(application\/(octet-stream|force-download|x-download|binary)|binary\/octet-stream)?$/i;
+
+// Part of the content type of extensions that do not appear in it
+const TYPE_HINTS = {
+    doc: 'msword', docx: 'wordprocessingml', xls: 'ms-excel', xlsx: 'spreadsheetml',
+    ppt: 'ms-powerpoint', pptx: 'presentationml', one: 'onenote', txt: 'text/plain',
+    jpg: 'jpeg', mp3: 'mpeg', mov: 'quicktime', '7z': '7z-compressed', md: 'markdown'
+};
+
+/**
+ * False when the content type shows a different kind of file than the
+ * attachment's extension (e.g. a .zip download for "Report.pdf").
+ */
+function typeMatchesName(contentType, fileName) {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    if (GENERIC_TYPES.test(type)) return true;
+    const ext = (fileName || '').includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+    if (!ext) return true;
+    return type.includes(TYPE_HINTS[ext] || ext);
+}
+
+/**
+ * File name from a Content-Disposition header (RFC 6266, filename* first).
+ * @param {string} header
+ * @returns {string|null}
+ */
+function contentDispositionName(header) {
+    if (!header) return null;
+    const extended = header.match(/filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i);
+    if (extended) {
+        try {
+            return decodeURIComponent(extended[2].trim().replace(/^"|"$/g, ''));
+        } catch (e) {
+            // Malformed escapes: fall back to the plain filename
+        }
+    }
+    const plain = header.match(/filename\s*=\s*("([^"]*)"|[^;]+)/i);
+    if (!plain) return null;
+    return (plain[2] !== undefined ? plain[2] : plain[1]).trim() || null;
+}
+
+/**
+ * How well a network response matches an attachment.
+ * @param {object} response - { url, status, headers } (lower-case header names)
+ * @param {object} info - Attachment info from the scraper ({ src, originalName })
+ * @returns {number} - 0: not the file, 1: an unnamed file download of the right type,
+ *                     2: this attachment (same name or URL)
+ */
+function matchAttachmentResponse({ url, status, headers = {} }, info) {
+    if (status < 200 || status >= 300) return 0;
+    const contentType = headers['content-type'] || '';
+    if (NON_FILE_TYPES.test(contentType)) return 0;
+
+    if (info.src && !info.src.startsWith('blob:') && url === info.src) return 2;
+    const fileName = contentDispositionName(headers['content-disposition']);
+    // A named download is either this attachment or another file
+    if (fileName) return info.originalName && fileName.toLowerCase() === info.originalName.toLowerCase() ? 2 : 0;
+
+    if (!FILE_URL_PATTERNS.some(pattern => pattern.test(url))) return 0;
+    // getimage.ashx also serves the pictures of the page: an unnamed image is not the file
+    if (/getimage\.ashx/i.test(url) && /^image\//i.test(contentType)) return 0;
+    return typeMatchesName(contentType, info.originalName) ? 1 : 0;
+}
+
+/**
+ * Keeps the best scoring response: resolves at once on an exact match (score 2),
+ * `settle` ms after the first other candidate, or with null after `timeout` ms.
+ */
+function captureBestResponse(timeout, settle) {
+    let best = null;
+    let done;
+    let settleTimer = null;
+    const result = new Promise((resolve) => { done = resolve; });
+    const stop = () => {
+        clearTimeout(timer);
+        clearTimeout(settleTimer);
+        done(best);
+    };
+    const timer = setTimeout(stop, timeout);
+    return {
+        result,
+        stop,
+        offer(score, response) {
+            if (!best || score > best.score) best = { score, response };
+            if (score === 2) stop();
+            else if (!settleTimer) settleTimer = setTimeout(stop, settle);
+        }
+    };
+}
+
+/**
+ * Strategy 2: Network Interception
+ * Opens the attachment with a single click and captures its bytes from the
+ * responses OneNote Web receives (getimage.ashx, WOPI contents, SharePoint
+ * downloads), without going through the download dialog. Attachments whose
+ * source is a blob: URL are read directly in the frame.
+ */
+async function tryNetworkInterception(contentFrame, info, outputPath, { timeout = 3000, settle = 500 } = {}) {
+    if (info.src && info.src.startsWith('blob:')) {
+        Logger.info(`      [Strategy: Network] Reading blob URL in the page...`);
+        try {
+            const base64 = await contentFrame.evaluate(async (src) => {
+                const bytes = new Uint8Array(await (await fetch(src)).arrayBuffer());
+                let binary = '';
+                for (let i = 0; i < bytes.length; i += 0x8000) {
+                    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+                }
+                return btoa(binary);
+            }, info.src);
+            await fs.writeFile(outputPath, Buffer.from(base64, 'base64'));
+            return true;
+        } catch (e) {
+            Logger.debug(`      Blob read failed for ${info.id}: ${e.message}`);
+        }
+    }
+
+    const selector = `[data-one-attach-id="${info.id}"]`;
+    const link = await contentFrame.waitForSelector(selector, { state: 'attached', timeout: 5000 }).catch(() => null);
+    if (!link) return false;
+
+    const page = contentFrame.page();
+    const context = page.context();
+    const capture = captureBestResponse(timeout, settle);
+    const popups = [];
+
+    // Responses are matched as they arrive; bodies are read afterwards, once
+    const onResponse = (response) => {
+        const score = matchAttachmentResponse({ url: response.url(), status: response.status(), headers: response.headers() }, info);
+        if (score > 0) capture.offer(score, response);
+    };
+    const onPage = (popup) => popups.push(popup);
+
+    context.on('response', onResponse);
+    context.on('page', onPage);
+    Logger.info(`      [Strategy: Network] Opening attachment and listening for its contents...`);
+    try {
+        await link.scrollIntoViewIfNeeded().catch(() => { });
+        await link.click({ force: true });
+
+        const candidate = await capture.result;
+        if (!candidate) {
+            Logger.debug(`      [Strategy: Network] No file response seen for ${info.id}`);
+            return false;
+        }
+        const body = await candidate.response.body();
+        await fs.writeFile(outputPath, body);
+        Logger.debug(`      [Strategy: Network] Captured ${body.length} bytes from ${candidate.response.url().substring(0, 80)}`);
+        return true;
+    } catch (e) {
+        Logger.debug(`      Network interception failed for ${info.id}: ${e.message}`);
+        return false;
+    } finally {
+        capture.stop();
+        context.off('response', onResponse);
+        context.off('page', onPage);
+        for (const popup of popups) await popup.close().catch(() => { });
+        // Close the preview or download dialog the click may have opened
+        await page.keyboard.press('Escape').catch(() => { });
+    }
+}
+
 /**
- * Strategy 2: Physical Click
+ * Strategy 3: Physical Click
  * Triggers a download by clicking the element in the browser.
  */
 async function tryUIClick(contentFrame, attachId, outputPath) {
@@ -316,20 +489,12 @@ async function tryUIClick(contentFrame, attachId, outputPath) {
     return false;
 }
 
-/**
- * Strategy 3: Network Interception (Advanced)
- * Placeholder for future implementation if needed (intercepting fetch/xhr).
- */
-async function tryNetworkInterception(page, url, outputPath) {
-    // Current downloadResource is essentially an unforced network request
-    // We could use page.route here if we need to mock headers.
-    return false;
-}
-
 /**
  * Main dispatcher for attachment downloads
+ * @param {object} pageState - Shared by the attachments of one page: once network
+ *                             interception found nothing, it is not tried again there
  */
-async function downloadAttachment(contentFrame, info, outputPath) {
+async function downloadAttachment(contentFrame, info, outputPath, pageState = {}) {
     return withRetry(async () => {
         const page = contentFrame.page();
         const context = page.context();
@@ -340,13 +505,22 @@ async function downloadAttachment(contentFrame, info, outputPath) {
             return true;
         }
 
-        // 2. Try UI click
+        // 2. Try capturing the file from OneNote's own requests
+        if (!pageState.interceptionFailed || (info.src && info.src.startsWith('blob:'))) {
+            if (await tryNetworkInterception(contentFrame, info, outputPath)) {
+                Logger.success(`      [Success] Downloaded via Strategy: Network Interception`);
+                return true;
+            }
+            pageState.interceptionFailed = true;
+        }
+
+        // 3. Try UI click
         if (await tryUIClick(contentFrame, info.id, outputPath)) {
             Logger.success(`      [Success] Downloaded via Strategy: UI Click`);
             return true;
         }
 
-        // 3. Fallback: direct request on the original URL (non-forced)
+        // 4. Fallback: direct request on the original URL (non-forced)
         if (info.src) {
             Logger.info(`      [Strategy: Fallback] Attempting direct request...`);
             try {
@@ -377,5 +551,8 @@ async function downloadAttachment(contentFrame, info, outputPath) {
 }
 
 module.exports = {
-    downloadAttachment
+    downloadAttachment,
+    tryNetworkInterception,
+    matchAttachmentResponse,
+    contentDispositionName
 };
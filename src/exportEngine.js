@@ -0,0 +1,1192 @@
+const EventEmitter = require('events');
+const logger = require('./utils/logger');
+const { listNotebooks, loadNotebookList, openNotebook, openNotebookByLink } = require('./navigator');
+const { getSections, getPages, selectSection, selectPage, getPageContent, getPageMarkup, navigateBack, isSectionLocked } = require('./scrapers');
+const { createMarkdownConverter } = require('./parser');
+const { resolveInternalLinks } = require('./linkResolver');
+const { ExportManifest, hashPageContent, hashPageMarkup } = require('./manifest');
+const { saveCheckpoint, loadCheckpoint, clearCheckpoint, hasCheckpoint } = require('./checkpoint');
+const { withRetry } = require('./utils/retry');
+const { WAIT_TIMEOUTS } = require('./config');
+const readiness = require('./readiness');
+const { createPathFilter } = require('./filters');
+const { scanNotebookTree, selectionFromIds, countPages } = require('./notebookTree');
+const { resolveFrontmatterFields, buildFrontmatter } = require('./frontmatter');
+const { parseOneNoteDate } = require('./dates');
+const { resolveNoteTagMap } = require('./noteTags');
+const { resolveStyleOptions } = require('./textStyles');
+const { resolveInkFormat, standaloneSvg } = require('./ink');
+const { resolveTableStrategy } = require('./tables');
+const { buildCanvas, canvasJson } = require('./canvas');
+const { imageExtension } = require('./imageFormats');
+const { AssetStore, assetPath, formatBytes } = require('./assetStore');
+const { resolveImageOptions, planImage, createBrowserImageProcessor } = require('./imageProcessing');
+const { buildPageHierarchy, orderPrefix, resolveSubpageMode } = require('./pageHierarchy');
+const { downloadAttachment } = require('./downloadStrategies');
+const fs = require('fs-extra');
+const path = require('path');
+const sanitize = require('sanitize-filename');
+
+// Rename and generalize to downloadResource with retry logic
+// outputPath       - file to write, or (body, contentType) => file to write, to
+//                    name the file after what was downloaded
+// options.timeout  - HTTP request timeout in ms (default 60 000)
+// options.onError  - optional (msg) => void callback called on final failure
+//                    (the failure is logged as an error when omitted)
+// Resolves to the path written, or false
+async function downloadResource(page, url, outputPath, options = {}) {
+    const { timeout = 60000, onError } = options;
+    const save = async (body, contentType) => {
+        const filePath = typeof outputPath === 'function' ? outputPath(body, contentType) : outputPath;
+        await fs.writeFile(filePath, body);
+        return filePath;
+    };
+    return withRetry(async () => {
+        if (url.startsWith('data:')) {
+            const matches = url.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
+            if (matches && matches.length === 3) {
+                return save(Buffer.from(matches[2], 'base64'), matches[1]);
+            }
+            return false;
+        }
+
+        const response = await page.context().request.get(url, { timeout });
+        if (response.ok()) {
+            return save(await response.body(), response.headers()['content-type'] || '');
+        } else {
+            throw new Error(`Failed to download resource (HTTP ${response.status()}): ${url.substring(0, 100)}...`);
+        }
+    }, {
+        maxAttempts: 3,
+        initialDelayMs: 1000,
+        operationName: `Download resource`,
+        silent: true
+    }).catch((e) => {
+        const shortUrl = url.substring(0, 80) + '…';
+        const msg = `Download failed (${e.message.split('\n')[0]}): ${shortUrl}`;
+        if (onError) onError(msg);
+        else logger.error(msg);
+        return false;
+    });
+}
+
+// Errors after which the browser session is gone: nothing more can be
+// exported, so they end the run instead of failing a single page.
+const BROWSER_CLOSED = /Target closed|Target page, context or browser has been closed|Browser has been closed|browser has disconnected/i;
+
+function isBrowserClosed(error) {
+    return BROWSER_CLOSED.test(error?.message || '');
+}
+
+// Manifest and checkpoint are rewritten whole, so they are saved every
+// SAVE_EVERY completed items or SAVE_INTERVAL_MS, not after every page
+const SAVE_EVERY = 25;
+const SAVE_INTERVAL_MS = 30000;
+
+/**
+ * Walks a OneNote notebook and writes it to disk as Markdown.
+ *
+ * The engine owns the whole traversal (sections, groups, pages, assets and the
+ * final link-resolution pass) and reports everything it does through events,
+ * so front-ends (CLI, Electron) only have to listen:
+ *
+ *  - 'log'            { level, message, error? }
+ *  - 'section-start'  { id, name, path }
+ *  - 'section-locked' { id, name }
+ *  - 'page-start'     { id, name, totalPages, totalAssets }
+ *  - 'page-saved'     { id, name, path, assets, totalPages, totalAssets }
+ *  - 'page-unchanged' { id, name, path }
+ *  - 'asset-failed'   { pageName, type, message }
+ *  - 'complete'       { totalPages, totalAssets, unchangedPages, deletedPages, failedItems, outputDir }
+ *  - 'failed'         { error }
+ *
+ * Interactive steps are delegated to optional hooks:
+ *  - hooks.selectNotebook(notebooks) => Promise<notebook>  (no --notebook given)
+ *  - hooks.waitForUnlock(section)    => Promise<void>      (locked section, visible mode)
+ *  - hooks.selectSections(tree)      => Promise<string[]>  (--pick: ids of the sections to export)
+ *  - hooks.processImage(buffer, plan) => Promise<Buffer>   (replaces the browser image processor, see imageProcessing.js)
+ */
+class ExportEngine extends EventEmitter {
+    /**
+     * @param {object} options - { notebook, notebookLink, exportDir, notheadless, nopassasked, dodump, downloadTimeout, full, resume, waits, maxWait, include, exclude, pick, all, frontmatter, dateLocale, timeZone, pageOrder, subpages, noteTags, styleFidelity, palette, inkFormat, tableStrategy, guessCodeLanguage, canvas, dedupeAssets,
+     *                           imageMaxWidth, imageMaxHeight, imageQuality, imageWebp }
+     * @param {object} hooks   - { selectNotebook, waitForUnlock, selectSections, processImage }
+     */
+    constructor(options = {}, hooks = {}) {
+        super();
+        this.options = options;
+        this.hooks = hooks;
+        // Download timeout in ms — user-configurable, default 60 s
+        this.downloadTimeout = options.downloadTimeout || 60000;
+        // Readiness upper bounds, see WAIT_TIMEOUTS in config.js
+        this.waits = { ...WAIT_TIMEOUTS, ...(options.waits || {}) };
+        const maxWait = parseInt(options.maxWait, 10);
+        if (maxWait > 0) {
+            for (const key of ['frame', 'section', 'group', 'page']) this.waits[key] = maxWait;
+        }
+        this.td = createMarkdownConverter();
+        this.filter = createPathFilter({ include: options.include, exclude: options.exclude });
+        this.session = null;
+        // Created on the first image to process (see _processImage)
+        this.imageProcessor = null;
+        this._resetNotebookState();
+    }
+
+    /** Per-notebook traversal state, cleared before each notebook of export --all. */
+    _resetNotebookState() {
+        this.stats = { totalPages: 0, totalAssets: 0, unchangedPages: 0, filteredPages: 0 };
+        // Ids of the sections (and their groups) picked with --pick; null = everything
+        this.selection = null;
+        this.manifest = null;
+        // Images and attachments saved so far, by content (null with dedupeAssets: false)
+        this.assetStore = null;
+        this.pageIdMap = {};
+        this.processedItems = new Set();
+        // Items fully handled so far; persisted in the checkpoint so --resume can skip them.
+        // Unlike processedItems, a section only lands here once all its pages are done.
+        this.completedItems = new Set();
+        // Sections, groups and pages that failed in this run; they are not
+        // completed, so --resume retries them
+        this.failedItems = new Set();
+        // Items completed since the progress was last saved (see _markCompleted)
+        this.unsavedItems = 0;
+        this.lastSavedAt = Date.now();
+        this.outputBase = null;
+        this.notebookName = null;
+        // Names of the section groups above the section being exported
+        this.groupPath = [];
+        // Folder → file names already allocated there (see _usedNamesIn)
+        this.usedNames = new Map();
+        // Images made smaller by the image options, for the export report
+        this.imageReport = { processedImages: 0, originalImageBytes: 0, processedImageBytes: 0 };
+    }
+
+    _log(level, message, error = null) {
+        this.emit('log', { level, message, error });
+    }
+
+    /**
+     * Opens the requested notebook, exports it and always closes the browser.
+     * @returns {Promise<object>} - { success, totalPages, totalAssets, outputDir } or { success: false, error }
+     */
+    async run() {
+        if (this.options.all) return this.runAll();
+        try {
+            const notebookName = await this._openNotebook();
+            if (!notebookName) return { success: false, error: 'No notebooks found.' };
+
+            const contentFrame = await this._findContentFrame(this.session.page);
+            return await this.exportNotebook(contentFrame, notebookName);
+        } catch (e) {
+            this._log('error', `Export failed: ${e.message}`, e);
+            if (this.outputBase && await hasCheckpoint(this.outputBase)) {
+                this._log('info', 'Progress has been saved. Run the export again with --resume to continue where it stopped.');
+            }
+            this.emit('failed', { error: e.message });
+            return { success: false, error: e.message };
+        } finally {
+            await this._closeSession();
+        }
+    }
+
+    /**
+     * export --all: exports every notebook of the account (optionally only those
+     * whose name matches options.all as a case-insensitive regex) in a single
+     * browser session, each into its own folder. A failing notebook is reported
+     * and the run moves on to the next one.
+     * @returns {Promise<object>} - { success, notebooks: [{ notebook, success, ... }], totalPages, totalAssets }
+     */
+    async runAll() {
+        const results = [];
+        try {
+            const pattern = typeof this.options.all === 'string' ? new RegExp(this.options.all, 'i') : null;
+
+            this._log('info', 'Fetching notebooks...');
+            this.session = await listNotebooks({ ...this.options, keepOpen: true });
+            const notebooks = this.session.notebooks.filter(nb => !pattern || pattern.test(nb.name));
+            if (notebooks.length === 0) {
+                this._log('warn', pattern ? `No notebook matches /${this.options.all}/i.` : 'No notebook have been found.');
+                return { success: false, error: 'No notebooks found.', notebooks: [] };
+            }
+            this._log('info', `Exporting ${notebooks.length} notebook(s): ${notebooks.map(nb => nb.name).join(', ')}`);
+
+            for (const [index, notebook] of notebooks.entries()) {
+                this._log('step', `[Notebook ${index + 1}/${notebooks.length}] ${notebook.name}`);
+                this._resetNotebookState();
+                try {
+                    if (index > 0) {
+                        // Back to the notebooks list; its frame is new after the navigation
+                        const { scrapeTarget } = await loadNotebookList(this.session.page, this.options);
+                        this.session.scrapeTarget = scrapeTarget;
+                    }
+                    await openNotebook(this.session.page, this.session.scrapeTarget, notebook.id);
+                    const contentFrame = await this._findContentFrame(this.session.page);
+                    results.push({ notebook: notebook.name, ...await this.exportNotebook(contentFrame, notebook.name) });
+                } catch (e) {
+                    this._log('error', `Export of "${notebook.name}" failed: ${e.message}`, e);
+                    if (this.outputBase && await hasCheckpoint(this.outputBase)) {
+                        this._log('info', 'Its progress has been saved; --resume will continue it.');
+                    }
+                    results.push({ notebook: notebook.name, success: false, error: e.message });
+                }
+            }
+        } catch (e) {
+            this._log('error', `Export failed: ${e.message}`, e);
+            this.emit('failed', { error: e.message });
+            return { success: false, error: e.message, notebooks: results };
+        } finally {
+            await this._closeSession();
+        }
+
+        const sum = (key) => results.reduce((total, r) => total + (r[key] || 0), 0);
+        const summary = {
+            success: results.every(r => r.success),
+            notebooks: results,
+            totalPages: sum('totalPages'),
+            totalAssets: sum('totalAssets'),
+            unchangedPages: sum('unchangedPages')
+        };
+
+        this._log('step', 'Summary of all notebooks:');
+        for (const r of results) {
+            if (r.success) {
+                this._log('info', `  ${r.notebook}: ${r.totalPages} pages, ${r.totalAssets} assets, ${r.unchangedPages} unchanged → ${r.outputDir}`);
+            } else {
+                this._log('error', `  ${r.notebook}: FAILED (${r.error})`);
+            }
+        }
+        this._log('success', `${results.filter(r => r.success).length}/${results.length} notebooks exported — ${summary.totalPages} pages, ${summary.totalAssets} assets in total.`);
+        return summary;
+    }
+
+    /**
+     * Opens the requested notebook and lists its groups, sections and pages
+     * without exporting anything (`tree` command). Always closes the browser.
+     * @returns {Promise<object>} - { success, notebookName, tree } or { success: false, error }
+     */
+    async scanTree() {
+        try {
+            const notebookName = await this._openNotebook();
+            if (!notebookName) return { success: false, error: 'No notebooks found.' };
+
+            const contentFrame = await this._findContentFrame(this.session.page);
+            try {
+                await contentFrame.waitForSelector('.sectionList', { timeout: 10000 });
+            } catch (e) {
+                this._log('warn', 'Timeout waiting for .sectionList, trying to scrape anyway...');
+            }
+
+            this._log('info', 'Scanning the notebook tree...');
+            const tree = await scanNotebookTree(contentFrame, this.waits, {
+                onLog: (level, message) => this._log(level, message)
+            });
+            return { success: true, notebookName, tree };
+        } catch (e) {
+            this._log('error', `Scan failed: ${e.message}`, e);
+            return { success: false, error: e.message };
+        } finally {
+            await this._closeSession();
+        }
+    }
+
+    /**
+     * Launches the browser (kept in this.session) and enters the notebook given by
+     * --notebook-link, --notebook or the selectNotebook hook.
+     * @returns {Promise<string|null>} - The notebook name, or null when the account has none.
+     */
+    async _openNotebook() {
+        const options = this.options;
+
+        if (options.notebookLink) {
+            // ── Fast path: --notebook-link skips the listing entirely ────────────
+            this._log('info', 'Notebook link provided — skipping notebook listing.');
+            this.session = await openNotebookByLink(options);
+            const notebookName = this.session.notebookName || 'Notebook';
+            this._log('info', `Exporting notebook: ${notebookName}`);
+            return notebookName;
+        }
+
+        this._log('info', 'Fetching notebooks...');
+        this.session = await listNotebooks({ ...options, keepOpen: true });
+        const { notebooks } = this.session;
+
+        if (notebooks.length === 0) {
+            this._log('warn', 'No notebook have been found.');
+            this._log('warn', 'Remember: you can export a notebook by using the export command with the --notebook-link <url> option.');
+            return null;
+        }
+
+        const selectedNotebook = await this._selectNotebook(notebooks);
+        this._log('info', `You selected: ${selectedNotebook.name}`);
+        await openNotebook(this.session.page, this.session.scrapeTarget, selectedNotebook.id);
+        this._log('success', 'Successfully entered notebook.');
+        return selectedNotebook.name;
+    }
+
+    async _closeSession() {
+        if (this.session && this.session.browser) {
+            logger.debug('Closing browser...');
+            await this.session.browser.close();
+        }
+        this.session = null;
+    }
+
+    async _selectNotebook(notebooks) {
+        if (this.options.notebook) {
+            this._log('info', `Auto-selecting notebook: "${this.options.notebook}"...`);
+            const found = notebooks.find(nb => nb.name === this.options.notebook);
+            if (!found) {
+                throw new Error(`Notebook "${this.options.notebook}" not found in list. Available: ${notebooks.map(n => n.name).join(', ')}`);
+            }
+            return found;
+        }
+        if (this.hooks.selectNotebook) {
+            const selected = await this.hooks.selectNotebook(notebooks);
+            if (selected) return selected;
+        }
+        throw new Error('No notebook specified. Pass options.notebook.');
+    }
+
+    /**
+     * Locates the frame hosting the OneNote navigation panes (.sectionList).
+     * Falls back to the main page when no such frame can be found.
+     */
+    async _findContentFrame(page) {
+        this._log('info', `Looking for OneNote content frame (up to ${this.waits.frame / 1000} seconds)...`);
+
+        // Heuristic: Find frame with .sectionList or similar
+        const frame = await readiness.waitForContentFrame(page, this.waits);
+        if (!frame) {
+            this._log('warn', 'Could not auto-detect content frame. Using main page as fallback...');
+            return page;
+        }
+
+        this._log('success', `Found content frame (navigation): ${frame.url()}`);
+        if (this.options.dodump) {
+            const dumpDir = await logger.getDumpDir();
+            const displayPath = logger.getDumpDisplayPath();
+            this._log('warn', `Dumping content frame HTML to ${displayPath}/debug_notebook_content.html...`);
+            await fs.writeFile(path.join(dumpDir, 'debug_notebook_content.html'), await frame.content());
+        }
+        return frame;
+    }
+
+    /**
+     * Exports every section of an already opened notebook, then resolves internal links.
+     * @param {object} contentFrame - Frame containing the OneNote navigation panes.
+     * @param {string} notebookName - Used as the output folder name.
+     */
+    async exportNotebook(contentFrame, notebookName) {
+        this.frontmatterFields = resolveFrontmatterFields(this.options.frontmatter);
+        this.td = createMarkdownConverter({
+            noteTags: resolveNoteTagMap(this.options.noteTags),
+            styles: resolveStyleOptions(this.options),
+            onMathFallback: (equationId) => this._queueEquationImage(equationId),
+            tableStrategy: resolveTableStrategy(this.options.tableStrategy),
+            guessCodeLanguage: !!this.options.guessCodeLanguage,
+            onOutline: (layoutId, markdown) => {
+                if (this.pendingOutlines) this.pendingOutlines[layoutId] = markdown;
+            },
+            getNoteFolder: () => this.pendingNoteFolder || ''
+        });
+        this.subpageMode = resolveSubpageMode(this.options.subpages);
+        this.inkFormat = resolveInkFormat(this.options.inkFormat);
+        this.imageSettings = resolveImageOptions(this.options);
+        // Settings that change what is written for the same page content
+        this.outputSettings = JSON.stringify([
+            this.frontmatterFields,
+            this.options.dateLocale || null,
+            this.options.timeZone || null,
+            this.options.noteTags || null,
+            this.options.styleFidelity || null,
+            this.options.palette || null,
+            this.inkFormat,
+            this.options.tableStrategy || null,
+            !!this.options.guessCodeLanguage,
+            !!this.options.canvas,
+            this.imageSettings
+        ]);
+        // Fail early on a misspelled --time-zone rather than on every page
+        parseOneNoteDate('2000-01-01', { timeZone: this.options.timeZone });
+        this.notebookName = notebookName;
+        const baseDir = this.options.exportDir || path.resolve(__dirname, '../output');
+        const outputBase = path.resolve(baseDir, sanitize(notebookName));
+        await fs.ensureDir(outputBase);
+        this.outputBase = outputBase;
+
+        this._log('info', 'Scanning sections...');
+        // Wait for section list specifically
+        try {
+            await contentFrame.waitForSelector('.sectionList', { timeout: 10000 });
+        } catch (e) {
+            this._log('warn', 'Timeout waiting for .sectionList, trying to scrape anyway...');
+        }
+
+        // Previous run's manifest lets us skip pages whose content did not change
+        this.manifest = await ExportManifest.load(outputBase);
+        if (this.options.dedupeAssets !== false) {
+            this.assetStore = new AssetStore(outputBase, this.manifest.assets);
+        }
+        if (this.options.full) {
+            this._log('info', 'Full export requested — rewriting every page.');
+        } else if (this.manifest.lastRun) {
+            this._log('info', `Incremental export — previous run: ${this.manifest.lastRun}`);
+        }
+
+        await this._restoreCheckpoint(outputBase);
+
+        if (this.filter.isActive) {
+            const describe = (list) => list.join(', ') || '(none)';
+            this._log('info', `Filters — include: ${describe(this.filter.include)}; exclude: ${describe(this.filter.exclude)}`);
+        }
+
+        if (this.options.pick) {
+            await this._pickSections(contentFrame);
+        }
+
+        // Start recursive processing
+        try {
+            await this.processSections(contentFrame, outputBase);
+        } catch (e) {
+            // Keep what was done so far for --resume
+            await this._saveProgress().catch(() => { });
+            throw e;
+        } finally {
+            if (this.imageProcessor) await this.imageProcessor.close();
+            this.imageProcessor = null;
+        }
+
+        this._log('info', 'Resolving internal links...');
+        await resolveInternalLinks(this.pageIdMap, outputBase);
+        await this._applyFileTimes();
+
+        // Pages from the last run that no longer exist in OneNote. Their files are
+        // left on disk; we only report them and drop them from the manifest.
+        // After failures some pages were never listed, so nothing is reported.
+        const failed = this.failedItems.size;
+        const deletedPages = failed === 0 ? this.manifest.getDeleted() : [];
+        for (const page of deletedPages) {
+            this._log('warn', `Deleted in OneNote since last export: ${page.path}`);
+        }
+        this.manifest.forget(deletedPages.map(p => p.id));
+        await this.manifest.save();
+        if (failed === 0) {
+            await clearCheckpoint(outputBase);
+            this._log('success', 'Export complete!');
+        } else {
+            await this._saveProgress();
+            this._log('warn', `Export finished with ${failed} failed item(s). Run it again with --resume to retry them.`);
+        }
+        this._log('info', `Total Pages: ${this.stats.totalPages}`);
+        this._log('info', `Unchanged Pages: ${this.stats.unchangedPages}`);
+        this._log('info', `Deleted Pages: ${deletedPages.length}`);
+        if (this.filter.isActive) {
+            this._log('info', `Filtered Out Pages: ${this.stats.filteredPages}`);
+        }
+        this._log('info', `Total Assets: ${this.stats.totalAssets}`);
+        const dedupe = this.assetStore ? this.assetStore.stats : { deduplicatedAssets: 0, bytesSaved: 0 };
+        if (dedupe.deduplicatedAssets > 0) {
+            this._log('info', `Deduplicated Assets: ${dedupe.deduplicatedAssets} (${formatBytes(dedupe.bytesSaved)} saved)`);
+        }
+        const images = this.imageReport;
+        if (images.processedImages > 0) {
+            this._log('info', `Processed Images: ${images.processedImages} (${formatBytes(images.originalImageBytes)} → ${formatBytes(images.processedImageBytes)})`);
+        }
+        this._log('info', `Files saved in: ${outputBase}`);
+
+        const result = { ...this.stats, ...dedupe, ...images, deletedPages: deletedPages.map(p => p.path), failedItems: failed, outputDir: outputBase };
+        this.emit('complete', result);
+        if (failed > 0) return { success: false, error: `${failed} item(s) failed to export.`, ...result };
+        return { success: true, ...result };
+    }
+
+    /**
+     * Sets the modification time of the notes written in this run to their
+     * OneNote date. Done last, as resolving links rewrites some of the files.
+     */
+    async _applyFileTimes() {
+        for (const info of Object.values(this.pageIdMap)) {
+            if (info.isDir || !info.created) continue;
+            const when = new Date(info.created);
+            await fs.utimes(info.path, when, when).catch((e) => {
+                this._log('debug', `Could not set the file time of ${info.path}: ${e.message}`);
+            });
+        }
+    }
+
+    /**
+     * With --resume, reloads the state of an interrupted run so the traversal
+     * skips finished sections/pages while the final link pass still sees them.
+     */
+    async _restoreCheckpoint(outputBase) {
+        if (!this.options.resume) {
+            if (await hasCheckpoint(outputBase)) {
+                this._log('warn', 'An interrupted export of this notebook exists; starting over. Use --resume to continue it instead.');
+            }
+            return;
+        }
+
+        const checkpoint = await loadCheckpoint(outputBase);
+        if (!checkpoint) {
+            this._log('warn', 'No checkpoint found for this notebook — starting from the beginning.');
+            return;
+        }
+
+        this.completedItems = checkpoint.completedItems;
+        this.processedItems = new Set(checkpoint.completedItems);
+        this.pageIdMap = checkpoint.pageIdMap;
+        this.stats = { ...this.stats, ...checkpoint.stats };
+        // Pages written, skipped or filtered out before the interruption were seen by this run too
+        for (const id of [...this.completedItems, ...checkpoint.seenPages]) this.manifest.touch(id);
+
+        this._log('info', `Resuming export from checkpoint of ${checkpoint.savedAt} (${this.stats.totalPages} pages already exported).`);
+    }
+
+    /**
+     * Scans the notebook tree and lets the user tick the sections to export.
+     * Without a selectSections hook nothing is restricted.
+     */
+    async _pickSections(contentFrame) {
+        if (!this.hooks.selectSections) {
+            this._log('warn', 'Section picking is not available here — exporting every section.');
+            return;
+        }
+
+        this._log('info', 'Scanning the notebook tree (this visits every section once)...');
+        const tree = await scanNotebookTree(contentFrame, this.waits, {
+            onLog: (level, message) => this._log(level, message)
+        });
+        this._log('info', `Found ${countPages(tree)} pages.`);
+
+        const ids = (await this.hooks.selectSections(tree)) || [];
+        this.selection = selectionFromIds(tree, ids);
+        if (ids.length === 0) {
+            this._log('warn', 'No section picked — nothing will be exported.');
+        } else {
+            this._log('info', `Exporting the ${ids.length} picked item(s) only.`);
+        }
+    }
+
+    /** Records an item as done; the progress is saved in batches. */
+    async _markCompleted(id) {
+        this.completedItems.add(id);
+        this.unsavedItems++;
+        if (this.unsavedItems >= SAVE_EVERY || Date.now() - this.lastSavedAt >= SAVE_INTERVAL_MS) {
+            await this._saveProgress();
+        }
+    }
+
+    /** Writes the manifest and the checkpoint together so they never disagree. */
+    async _saveProgress() {
+        this.unsavedItems = 0;
+        this.lastSavedAt = Date.now();
+        await this.manifest.save();
+        await saveCheckpoint(this.outputBase, {
+            completedItems: this.completedItems,
+            seenPages: this.manifest.seen,
+            pageIdMap: this.pageIdMap,
+            stats: this.stats
+        });
+    }
+
+    /** Notebook-relative "Group/Section/Page" path used by the include/exclude filters. */
+    _relativePath(fullPath) {
+        return path.relative(this.outputBase, fullPath).split(path.sep).join('/');
+    }
+
+    /**
+     * Skips a group/section left out by the filters or by --pick. Whatever an
+     * earlier (unfiltered) run exported there is kept and not reported as deleted.
+     * @returns {boolean} - true if the item was filtered out
+     */
+    _filterOut(item, dirPath) {
+        const picked = !this.selection || this.selection.has(item.id);
+        if (picked && this.filter.shouldVisit(this._relativePath(dirPath))) return false;
+        this._log('debug', `Filtered out: ${this._relativePath(dirPath)}`);
+        this.processedItems.add(item.id);
+        this.manifest.touchUnder(dirPath);
+        return true;
+    }
+
+    /**
+     * File names taken in a folder. When resuming, names of pages written there
+     * before the interruption are taken too.
+     */
+    _usedNamesIn(dir) {
+        if (!this.usedNames.has(dir)) {
+            this.usedNames.set(dir, new Set(
+                Object.values(this.pageIdMap)
+                    .filter(info => !info.isDir && path.dirname(info.path) === dir)
+                    .map(info => path.basename(info.path, '.md'))
+            ));
+        }
+        return this.usedNames.get(dir);
+    }
+
+    /** Picks a file name not used yet in a folder ("Name", "Name_1", ...). */
+    _allocateName(usedNames, name) {
+        const baseName = sanitize(name || 'Untitled');
+        let candidate = baseName;
+        let collisionCount = 1;
+        while (usedNames.has(candidate)) {
+            candidate = `${baseName}_${collisionCount++}`;
+        }
+        usedNames.add(candidate);
+        return candidate;
+    }
+
+    /**
+     * Recursively processes the sections and section groups found under parentId.
+     */
+    async processSections(contentFrame, outputDir, parentId = null) {
+        const sections = await getSections(contentFrame, parentId);
+        if (sections.length === 0 && parentId) {
+            this._log('debug', '(No items found in this group)');
+        } else {
+            this._log('info', `Found ${sections.length} items at current level.`);
+        }
+
+        for (const item of sections) {
+            if (this.processedItems.has(item.id)) continue;
+
+            if (item.type === 'group') {
+                await this._processGroup(contentFrame, item, outputDir);
+            } else {
+                await this._processSection(contentFrame, item, outputDir);
+            }
+        }
+    }
+
+    async _processGroup(contentFrame, item, outputDir) {
+        const groupDir = path.join(outputDir, sanitize(item.name));
+        if (this._filterOut(item, groupDir)) return;
+        await fs.ensureDir(groupDir);
+
+        // Map the Group ID to its directory for internal links
+        this.pageIdMap[item.id] = { path: groupDir, isDir: true };
+        this.processedItems.add(item.id);
+
+        const failuresBefore = this.failedItems.size;
+        try {
+            this._log('info', `Entering group: ${item.name}`);
+            const sectionsBefore = await readiness.getSectionListSignature(contentFrame);
+            await selectSection(contentFrame, item.id);
+            // Wait for the tree to expand
+            if (!await readiness.waitForGroupReady(contentFrame, item.id, sectionsBefore, this.waits)) {
+                this._log('debug', `Group "${item.name}" did not settle within ${this.waits.group / 1000} seconds, scraping anyway...`);
+            }
+
+            await this._dump(contentFrame, `debug_group_${sanitize(item.name)}.html`);
+            this.groupPath.push(item.name);
+            try {
+                await this.processSections(contentFrame, groupDir, item.id);
+            } finally {
+                this.groupPath.pop();
+            }
+            this._log('info', `Returning from group: ${item.name}`);
+            const sectionsInside = await readiness.getSectionListSignature(contentFrame);
+            if (await navigateBack(contentFrame)) {
+                await readiness.waitForSectionListChange(contentFrame, sectionsInside, this.waits);
+            }
+            // A group with a failed section is visited again by --resume
+            if (this.failedItems.size === failuresBefore) await this._markCompleted(item.id);
+        } catch (e) {
+            if (isBrowserClosed(e)) throw e;
+            this._log('error', `Failed to process group ${item.name}: ${e.message}`, e);
+            this.failedItems.add(item.id);
+            this.manifest.touchUnder(groupDir);
+        }
+    }
+
+    async _processSection(contentFrame, item, outputDir) {
+        const options = this.options;
+        if (this._filterOut(item, path.join(outputDir, sanitize(item.name)))) return;
+
+        const pagesBefore = await readiness.getPageListSignature(contentFrame).catch(() => '');
+        try {
+            await selectSection(contentFrame, item.id);
+        } catch (e) {
+            if (isBrowserClosed(e)) throw e;
+            this._log('error', `Failed to select section ${item.name}: ${e.message}`, e);
+            this.failedItems.add(item.id);
+            // Its pages could not be listed; like a locked section, they are not deleted
+            this.manifest.touchUnder(path.join(outputDir, sanitize(item.name)));
+            return;
+        }
+
+        if (!await readiness.waitForSectionReady(contentFrame, item.id, pagesBefore, this.waits)) {
+            this._log('debug', `Section "${item.name}" did not settle within ${this.waits.section / 1000} seconds, scraping anyway...`);
+        }
+
+        // Check for password protection
+        let isLocked = await isSectionLocked(contentFrame);
+
+        // If locked, wait another 2s and re-check to avoid transition glitches from previous sections
+        if (isLocked) {
+            this._log('info', 'Will wait 2 seconds to let the section frame load properly');
+            await contentFrame.waitForTimeout(2000);
+            isLocked = await isSectionLocked(contentFrame);
+        }
+
+        const baseSectionName = sanitize(item.name);
+
+        const isHeadless = !options.notheadless;
+        if (isLocked && (options.nopassasked || isHeadless || !this.hooks.waitForUnlock)) {
+            if (isHeadless && !options.nopassasked) {
+                this._log('warn', `Section "${item.name}" is password protected.`);
+                this._log('warn', 'The browser is running in headless mode, which means you cannot interact with it to unlock the section manually.');
+                this._log('warn', 'Acting as if --nopassasked was set: skipping this section.');
+            } else {
+                this._log('warn', `Section "${item.name}" appears password protected. Skipping as requested.`);
+            }
+            await fs.ensureDir(path.join(outputDir, baseSectionName + ' [passProtected]'));
+            // Pages exported when the section was unlocked are not deleted, just unreachable
+            this.manifest.touchUnder(path.join(outputDir, baseSectionName));
+            this.processedItems.add(item.id);
+            await this._markCompleted(item.id);
+            return;
+        }
+
+        const sectionDir = path.join(outputDir, baseSectionName);
+        await fs.ensureDir(sectionDir);
+
+        // Map the Section ID to its directory for internal links
+        this.pageIdMap[item.id] = { path: sectionDir, isDir: true };
+
+        this._log('step', `[Section] ${item.name}`);
+        this.emit('section-start', { id: item.id, name: item.name, path: sectionDir });
+        this.processedItems.add(item.id);
+
+        while (isLocked) {
+            this._log('warn', `Section "${item.name}" is password protected.`);
+            this.emit('section-locked', { id: item.id, name: item.name });
+            await this.hooks.waitForUnlock(item);
+
+            // Re-verify
+            this._log('info', 'Will wait 2 seconds to let the frame of locked section load properly');
+            await contentFrame.waitForTimeout(2000);
+            isLocked = await isSectionLocked(contentFrame);
+            if (isLocked) {
+                this._log('error', 'Section still appears to be locked. Please try again.');
+            }
+        }
+
+        const pages = buildPageHierarchy(await getPages(contentFrame));
+        this._log('info', `Found ${pages.length} pages. Starting extraction...`);
+
+        // Intended file of every page of the section (exported or not), so
+        // subpages can be placed in / linked to their parent page
+        const pageFiles = {};
+        const failuresBefore = this.failedItems.size;
+
+        for (const pageInfo of pages) {
+            // Deduplicate pages too
+            if (this.processedItems.has(pageInfo.id)) {
+                const done = this.pageIdMap[pageInfo.id];
+                if (done && !done.isDir) pageFiles[pageInfo.id] = done.path;
+                continue;
+            }
+            this.processedItems.add(pageInfo.id);
+
+            // With --subpages folders, "Parent/Subpage.md" next to "Parent.md"
+            const pageDir = this.subpageMode === 'folders' && pageInfo.parentId && pageFiles[pageInfo.parentId]
+                ? pageFiles[pageInfo.parentId].replace(/\.md$/, '')
+                : sectionDir;
+            await fs.ensureDir(pageDir);
+
+            // Names are allocated before filtering so included pages keep the
+            // same file name whether or not filters are used
+            const baseName = (this.options.pageOrder ? orderPrefix(pageInfo.order, pages.length) : '') + pageInfo.name;
+            const noteName = this._allocateName(this._usedNamesIn(pageDir), baseName);
+            pageFiles[pageInfo.id] = path.join(pageDir, noteName + '.md');
+            if (!this.filter.shouldExport(this._relativePath(path.join(pageDir, noteName)))) {
+                this.stats.filteredPages++;
+                this.manifest.touch(pageInfo.id);
+                continue;
+            }
+
+            const parentFile = pageInfo.parentId ? pageFiles[pageInfo.parentId] : null;
+            try {
+                await this._exportPage(contentFrame, pageInfo, pageDir, noteName, {
+                    sectionName: item.name,
+                    parent: parentFile ? `[[${this._relativePath(parentFile).replace(/\.md$/, '')}]]` : null
+                });
+            } catch (e) {
+                if (isBrowserClosed(e)) throw e;
+                this._log('error', `Failed to export ${pageInfo.name}: ${e.message}`, e);
+                this.failedItems.add(pageInfo.id);
+                // Keep the previous export of this page from being reported as deleted
+                this.manifest.touch(pageInfo.id);
+                continue;
+            }
+            await this._markCompleted(pageInfo.id);
+        }
+
+        // Left uncompleted so --resume comes back for the failed pages
+        if (this.failedItems.size === failuresBefore) await this._markCompleted(item.id);
+    }
+
+    /**
+     * Exports one page to <sectionDir>/<sanitizedNoteName>.md.
+     * @param {object} location - { sectionName, parent: wikilink of the parent page or null }
+     */
+    async _exportPage(contentFrame, pageInfo, sectionDir, sanitizedNoteName, { sectionName, parent }) {
+        this._log('info', `Exporting: ${pageInfo.name} ...`);
+        this.emit('page-start', { id: pageInfo.id, name: pageInfo.name, ...this.stats });
+
+        const canvasBefore = await readiness.getCanvasSignature(contentFrame).catch(() => '');
+        await selectPage(contentFrame, pageInfo.id);
+        if (!await readiness.waitForPageReady(contentFrame, pageInfo.id, canvasBefore, this.waits)) {
+            this._log('debug', `Page "${pageInfo.name}" did not settle within ${this.waits.page / 1000} seconds, scraping anyway...`);
+        }
+
+        await this._dump(contentFrame, `debug_page_${sanitize(pageInfo.name)}.html`);
+
+        const filePath = path.join(sectionDir, sanitizedNoteName + '.md');
+        // The parent link is part of the frontmatter, so moving a page under another one rewrites it
+        const settings = `${this.outputSettings}${parent || ''}`;
+
+        // Same markup as last time: no need to scrape the page at all. Block
+        // positions (--canvas) are not part of the markup, so always scrape then.
+        const markup = this.options.canvas ? null : await getPageMarkup(contentFrame).catch(() => null);
+        const markupHash = markup ? hashPageMarkup(markup, settings) : null;
+        if (!this.options.full && markupHash && await this.manifest.isMarkupUnchanged(pageInfo.id, markupHash, filePath)) {
+            this._skipUnchanged(pageInfo, filePath);
+            return;
+        }
+
+        const content = await getPageContent(contentFrame, { layout: !!this.options.canvas });
+        const hash = hashPageContent(content, settings);
+
+        if (!this.options.full && await this.manifest.isUnchanged(pageInfo.id, hash, filePath)) {
+            // Markup changed but not the content (e.g. first run with markup hashes)
+            this.manifest.record(pageInfo.id, filePath, hash, markupHash);
+            this._skipUnchanged(pageInfo, filePath);
+            return;
+        }
+
+        const { html: updatedHtml, savedResources, files } = await this._downloadAssets(contentFrame, content, sectionDir, sanitizedNoteName, pageInfo.name);
+
+        // Equations the converter could not turn into LaTeX are queued during
+        // turndown, then captured from the page as images
+        this.pendingEquations = { noteName: sanitizedNoteName, images: [] };
+        // Markdown of each outline, for the canvas
+        this.pendingOutlines = content.layout ? {} : null;
+        // Shared assets in HTML tables are linked relative to the note
+        this.pendingNoteFolder = this._relativePath(sectionDir);
+        const markdown = this.td.turndown(updatedHtml);
+        this.pendingNoteFolder = null;
+        const savedEquations = await this._saveEquationImages(contentFrame, sectionDir, pageInfo.name);
+        const outlineTexts = this.pendingOutlines;
+        this.pendingOutlines = null;
+
+        const created = parseOneNoteDate(content.dateTime, {
+            locale: this.options.dateLocale || content.locale,
+            timeZone: this.options.timeZone
+        });
+        if (!created && content.dateTime) {
+            this._log('debug', `Could not parse the date of "${pageInfo.name}": ${content.dateTime}`);
+        }
+
+        const canvasPath = content.layout
+            ? await this._writeCanvas(content.layout, outlineTexts, files, sectionDir, sanitizedNoteName)
+            : null;
+
+        // Store page in map for cross-linking (relative to output base)
+        this.pageIdMap[pageInfo.id] = {
+            path: filePath,
+            canvasPath,
+            internalLinks: content.internalLinks,
+            isDir: false,
+            created: created ? created.timestamp : null
+        };
+
+        const frontmatter = buildFrontmatter({
+            title: content.title || pageInfo.name,
+            created: created ? created.iso : null,
+            dateTime: content.dateTime,
+            notebook: this.notebookName,
+            groups: this.groupPath,
+            section: sectionName,
+            parent,
+            pageId: pageInfo.id,
+            url: contentFrame.page().url()
+        }, this.frontmatterFields);
+        // Without frontmatter the page date stays a bare first line, as in older exports
+        const finalContent = frontmatter
+            ? `${frontmatter}\n${markdown}`
+            : `${content.dateTime}\n\n${markdown}`;
+
+        await fs.writeFile(filePath, finalContent);
+        this.manifest.record(pageInfo.id, filePath, hash, markupHash);
+        this.stats.totalPages++;
+        this.stats.totalAssets += savedResources + savedEquations;
+        this._log('success', `Saved "${pageInfo.name}" (${savedResources + savedEquations} assets)`);
+        this.emit('page-saved', { id: pageInfo.id, name: pageInfo.name, path: filePath, assets: savedResources + savedEquations, ...this.stats });
+    }
+
+    /** Keeps a page that did not change: it is already resolved on disk, but stays addressable for links from changed pages. */
+    _skipUnchanged(pageInfo, filePath) {
+        this.pageIdMap[pageInfo.id] = { path: filePath, internalLinks: [], isDir: false };
+        this.manifest.touch(pageInfo.id);
+        this.stats.unchangedPages++;
+        this._log('info', `Unchanged since last export, skipping: ${pageInfo.name}`);
+        this.emit('page-unchanged', { id: pageInfo.id, name: pageInfo.name, path: filePath });
+    }
+
+    /**
+     * Downloads images, attachments, videos and ink of a page into <sectionDir>/assets
+     * and rewrites their placeholders in the page HTML to the final file names.
+     * @returns {Promise<{ html: string, savedResources: number, files: object }>} - files: image or ink id → path
+     *                                                                              relative to the note ('assets/x.png')
+     */
+    async _downloadAssets(contentFrame, content, sectionDir, sanitizedNoteName, pageName) {
+        let updatedHtml = content.contentHtml || '';
+        let savedResources = 0;
+        let assetCounter = 1;
+        const files = {};
+
+        const totalAssets = (content.images?.length || 0) +
+            (content.attachments?.length || 0) +
+            (content.videos?.length || 0) +
+            (content.inks?.length || 0);
+        if (totalAssets === 0) return { html: updatedHtml, savedResources, files };
+
+        const assetDir = path.join(sectionDir, 'assets');
+        await fs.ensureDir(assetDir);
+
+        const page = contentFrame.page();
+        const assetFailed = (type) => (message) => {
+            this._log('warn', `⚠ Asset skipped — ${message}`);
+            this.emit('asset-failed', { pageName, type, message });
+        };
+        const downloadOptions = (type) => ({ timeout: this.downloadTimeout, onError: assetFailed(type) });
+
+        // Helper to get unique filename in assets dir
+        const getUniqueAssetPath = (base, ext) => {
+            const name = sanitize(base);
+            let fullPath = path.join(assetDir, `${name}.${ext}`);
+            let counter = 1;
+            while (fs.existsSync(fullPath)) {
+                fullPath = path.join(assetDir, `${name}_${counter++}.${ext}`);
+            }
+            return fullPath;
+        };
+
+        // 1. Process Images (including Printouts)
+        for (const imgInfo of content.images || []) {
+            const finalBaseName = `${sanitizedNoteName}_img_${assetCounter++}`;
+
+            // The extension comes from the downloaded bytes (see imageFormats.js)
+            const imgPath = await downloadResource(page, imgInfo.src,
+                (body, contentType) => this._reserveAsset(path.join(assetDir, `${finalBaseName}.${imageExtension(body, contentType)}`)),
+                downloadOptions('image'));
+            const finalPath = imgPath && this.imageSettings ? await this._processImage(imgPath, page) : imgPath;
+            const fileName = finalPath ? await this._storeAsset(finalPath, assetDir) : `${finalBaseName}.png`;
+
+            updatedHtml = updatedHtml.replace(new RegExp(`data-local-src="${imgInfo.id}"`, 'g'), `data-local-src="${fileName}"`);
+
+            if (imgPath) {
+                files[imgInfo.id] = assetPath(fileName);
+                savedResources++;
+                logger.debug(`[Asset] Saved IMAGE to: ${path.relative(process.cwd(), imgPath)}`);
+            }
+        }
+
+        // 2. Process Attachments
+        // Lets the download strategies skip what already failed on this page
+        const downloadState = {};
+        for (const attachInfo of content.attachments || []) {
+            const originalName = attachInfo.originalName || 'file';
+            const baseName = originalName.includes('.') ? originalName.substring(0, originalName.lastIndexOf('.')) : originalName;
+            const ext = originalName.includes('.') ? originalName.split('.').pop() : 'bin';
+
+            const filePath = getUniqueAssetPath(baseName, ext);
+            let finalFileName = path.basename(filePath);
+
+            if (await downloadAttachment(contentFrame, attachInfo, filePath, downloadState)) {
+                finalFileName = await this._storeAsset(filePath, assetDir);
+                savedResources++;
+                logger.debug(`[Asset] Saved ATTACHMENT to: ${path.relative(process.cwd(), filePath)}`);
+            } else {
+                assetFailed('attachment')(`Attachment download failed: ${originalName}`);
+            }
+
+            // Tag it so Turndown knows the final filename
+            // We replace the ID with the actual FULL filename for the 'data-local-file' attribute
+            // This ensures parser.js can trust it directly if it contains a dot.
+            // We also capture and replace any existing data-filename attribute.
+            const escapedId = attachInfo.id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            updatedHtml = updatedHtml.replace(
+                new RegExp(`data-local-file="${escapedId}"( data-filename="[^"]*")?`, 'g'),
+                `data-local-file="${finalFileName}" data-filename="${path.basename(finalFileName)}"`
+            );
+        }
+
+        // 3. Process Videos
+        for (const videoInfo of content.videos || []) {
+            // Better extension detection for videos
+            let ext = 'mp4';
+            if (videoInfo.src) {
+                try {
+                    const urlObj = new URL(videoInfo.src);
+                    const potentialExt = urlObj.pathname.split('.').pop();
+                    if (potentialExt && potentialExt.length < 5 && /^[a-z0-9]+$/i.test(potentialExt)) {
+                        ext = potentialExt;
+                    }
+                } catch (e) {
+                    // Fallback
+                }
+            }
+
+            const finalBaseName = `${sanitizedNoteName}_video_${assetCounter++}`;
+            const filePath = path.join(assetDir, `${finalBaseName}.${ext}`);
+
+            updatedHtml = updatedHtml.replace(new RegExp(`data-local-video="${videoInfo.id}"`, 'g'), `data-local-video="${finalBaseName}"`);
+
+            if (await downloadResource(page, videoInfo.src, filePath, downloadOptions('video'))) {
+                savedResources++;
+                logger.debug(`[Asset] Saved VIDEO to: ${path.relative(process.cwd(), filePath)}`);
+            }
+        }
+
+        // 4. Process Ink (pen drawings and handwriting)
+        for (const inkInfo of content.inks || []) {
+            const asSvg = this.inkFormat === 'svg' && inkInfo.svg;
+            const finalName = `${sanitizedNoteName}_ink_${assetCounter++}.${asSvg ? 'svg' : 'png'}`;
+            const inkPath = path.join(assetDir, finalName);
+
+            updatedHtml = updatedHtml.replace(new RegExp(`data-local-ink="${inkInfo.id}"`, 'g'), `data-local-ink="${finalName}"`);
+            files[inkInfo.id] = `assets/${finalName}`;
+
+            try {
+                if (asSvg) {
+                    await fs.writeFile(inkPath, standaloneSvg(inkInfo.svg, inkInfo));
+                } else if (inkInfo.dataUrl) {
+                    await fs.writeFile(inkPath, Buffer.from(inkInfo.dataUrl.split(',')[1], 'base64'));
+                } else {
+                    await contentFrame.locator(`[data-ink-id="${inkInfo.id}"]`).first()
+                        .screenshot({ path: inkPath, timeout: this.downloadTimeout });
+                }
+                savedResources++;
+                logger.debug(`[Asset] Saved INK to: ${path.relative(process.cwd(), inkPath)}`);
+            } catch (e) {
+                assetFailed('ink')(`Ink drawing failed: ${finalName} (${e.message.split('\n')[0]})`);
+            }
+        }
+
+        return { html: updatedHtml, savedResources, files };
+    }
+
+    /**
+     * Downscales / recompresses / converts a downloaded image as the image
+     * options ask (see imageProcessing.js). Failures keep the original.
+     * @returns {Promise<string>} - Path of the image, whose extension may have changed
+     */
+    async _processImage(filePath, page) {
+        const original = await fs.readFile(filePath);
+        const ext = path.extname(filePath).slice(1).toLowerCase();
+        const plan = planImage(original, ext, this.imageSettings);
+        if (!plan) return filePath;
+
+        let output;
+        try {
+            if (!this.imageProcessor) {
+                this.imageProcessor = this.hooks.processImage
+                    ? { process: this.hooks.processImage, close: async () => {} }
+                    : createBrowserImageProcessor(page.context());
+            }
+            output = await this.imageProcessor.process(original, plan);
+        } catch (e) {
+            this._log('warn', `Image processing failed, keeping the original: ${path.basename(filePath)} (${e.message.split('\n')[0]})`);
+            return filePath;
+        }
+        // Converting or recompressing is only worth it when the file gets smaller
+        if (!plan.resize && output.length >= original.length) return filePath;
+
+        const target = plan.format === ext
+            ? filePath
+            : this._reserveAsset(filePath.slice(0, filePath.length - ext.length) + plan.format);
+        await fs.writeFile(target, output);
+        if (target !== filePath) await fs.remove(filePath);
+
+        this.imageReport.processedImages++;
+        this.imageReport.originalImageBytes += original.length;
+        this.imageReport.processedImageBytes += output.length;
+        logger.debug(`[Asset] Processed IMAGE ${path.basename(target)}: ${formatBytes(original.length)} → ${formatBytes(output.length)}`);
+        return target;
+    }
+
+    /** Where to download an asset: never over a stored file that other pages may embed. */
+    _reserveAsset(filePath) {
+        return this.assetStore ? this.assetStore.reserve(filePath) : filePath;
+    }
+
+    /**
+     * Adds a downloaded asset to the store, which replaces it with an identical
+     * file saved earlier if there is one.
+     * @returns {Promise<string>} - data-local-* value: the file name when the file is
+     *                              in assetDir, else its path in the vault
+     */
+    async _storeAsset(filePath, assetDir) {
+        const stored = this.assetStore ? await this.assetStore.adopt(filePath) : filePath;
+        return path.dirname(stored) === assetDir ? path.basename(stored) : this._relativePath(stored);
+    }
+
+    /**
+     * Writes <sectionDir>/<sanitizedNoteName>.canvas with the blocks of the page
+     * at their position (see canvas.js).
+     * @returns {Promise<string>} - Path of the canvas file
+     */
+    async _writeCanvas(layout, outlineTexts, files, sectionDir, sanitizedNoteName) {
+        const blocks = layout.map(block => (block.type === 'outline'
+            ? { ...block, text: outlineTexts[block.id] || '' }
+            : { ...block, file: files[block.id] || null }));
+        const canvasPath = path.join(sectionDir, sanitizedNoteName + '.canvas');
+        await fs.writeFile(canvasPath, canvasJson(buildCanvas(blocks, { folder: this._relativePath(sectionDir) })));
+        return canvasPath;
+    }
+
+    /** Names the fallback image of an equation (called by the Markdown converter). */
+    _queueEquationImage(equationId) {
+        if (!this.pendingEquations) return null;
+        const { noteName, images } = this.pendingEquations;
+        const fileName = `${noteName}_eq_${images.length + 1}.png`;
+        images.push({ equationId, fileName });
+        return fileName;
+    }
+
+    /**
+     * Screenshots the equations queued by _queueEquationImage into <sectionDir>/assets.
+     * @returns {Promise<number>} - Number of images saved
+     */
+    async _saveEquationImages(contentFrame, sectionDir, pageName) {
+        const { images } = this.pendingEquations;
+        this.pendingEquations = null;
+        if (images.length === 0) return 0;
+
+        const assetDir = path.join(sectionDir, 'assets');
+        await fs.ensureDir(assetDir);
+        let saved = 0;
+        for (const { equationId, fileName } of images) {
+            try {
+                await contentFrame.locator(`[data-equation-id="${equationId}"]`).first()
+                    .screenshot({ path: path.join(assetDir, fileName), timeout: this.downloadTimeout });
+                saved++;
+            } catch (e) {
+                const message = `Equation image failed: ${fileName} (${e.message.split('\n')[0]})`;
+                this._log('warn', `⚠ Asset skipped — ${message}`);
+                this.emit('asset-failed', { pageName, type: 'equation', message });
+            }
+        }
+        return saved;
+    }
+
+    async _dump(contentFrame, fileName) {
+        if (!this.options.dodump) return;
+        const dumpDir = await logger.getDumpDir();
+        await fs.writeFile(path.join(dumpDir, fileName), await contentFrame.content());
+    }
+}
+
+module.exports = { ExportEngine, downloadResource };
@@ -0,0 +1,113 @@
+/**
+ * Include / exclude glob filters matched against the notebook-relative
+ * "Group/Section/Page" path of every item (as written under the export dir).
+ *
+ * Glob syntax: `*` any characters except `/`, `?` one character except `/`,
+ * `**` any number of path segments. Matching is case-insensitive.
+ * A pattern matching a group or section applies to everything inside it,
+ * so `Projects` behaves like `Projects/**`.
+ */
+
+function escapeRegExp(str) {
+    return str.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Converts one path segment glob (no `/`) to a RegExp source. */
+function segmentSource(segment) {
+    return segment.split('').map(c => {
+        if (c === '*') return '[^/]*';
+        if (c === '?') return '[^/]';
+        return escapeRegExp(c);
+    }).join('');
+}
+
+/**
+ * Converts a path glob to an anchored, case-insensitive RegExp.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    const segments = normalize(glob).split('/');
+    let source = '';
+    segments.forEach((segment, i) => {
+        const isLast = i === segments.length - 1;
+        if (segment === '**') {
+            // Zero or more whole segments
+            source += isLast ? (i === 0 ? '.*' : '(?:/.*)?') : (i === 0 ? '(?:.*/)?' : '(?:/.*)?/');
+            return;
+        }
+        if (i > 0 && segments[i - 1] !== '**') source += '/';
+        source += segmentSource(segment);
+    });
+    return new RegExp(`^${source}$`, 'i');
+}
+
+function normalize(p) {
+    return String(p).replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+}
+
+/** The path itself and all of its ancestors: "A/B/C" → ["A", "A/B", "A/B/C"]. */
+function withAncestors(p) {
+    const parts = normalize(p).split('/');
+    return parts.map((_, i) => parts.slice(0, i + 1).join('/'));
+}
+
+/**
+ * True if something strictly below `dirPath` could match the glob.
+ * Used to decide whether a group/section must be opened at all.
+ */
+function couldMatchBelow(glob, dirPath) {
+    const pSegs = normalize(glob).split('/');
+    const dSegs = normalize(dirPath).split('/');
+    for (let i = 0; i < dSegs.length; i++) {
+        if (i >= pSegs.length) return false;
+        if (pSegs[i] === '**') return true;
+        if (!new RegExp(`^${segmentSource(pSegs[i])}$`, 'i').test(dSegs[i])) return false;
+    }
+    return pSegs.length > dSegs.length;
+}
+
+/**
+ * @param {object} options - { include, exclude }: arrays of globs or comma/newline-separated strings
+ * @returns {{ include: string[], exclude: string[], isActive: boolean, shouldVisit: Function, shouldExport: Function }}
+ */
+function createPathFilter({ include = [], exclude = [] } = {}) {
+    const includes = parsePatternList(include);
+    const excludes = parsePatternList(exclude);
+    const includeRes = includes.map(globToRegExp);
+    const excludeRes = excludes.map(globToRegExp);
+
+    const matchesSelfOrAncestor = (regexes, p) => withAncestors(p).some(a => regexes.some(re => re.test(a)));
+
+    return {
+        include: includes,
+        exclude: excludes,
+        isActive: includes.length > 0 || excludes.length > 0,
+
+        /** Whether a group/section folder needs to be traversed. */
+        shouldVisit(dirPath) {
+            if (matchesSelfOrAncestor(excludeRes, dirPath)) return false;
+            if (includes.length === 0) return true;
+            return matchesSelfOrAncestor(includeRes, dirPath) ||
+                includes.some(glob => couldMatchBelow(glob, dirPath));
+        },
+
+        /** Whether a page ("Group/Section/Page") is exported. */
+        shouldExport(pagePath) {
+            if (matchesSelfOrAncestor(excludeRes, pagePath)) return false;
+            return includes.length === 0 || matchesSelfOrAncestor(includeRes, pagePath);
+        }
+    };
+}
+
+/**
+ * Splits a comma- or newline-separated list of globs (GUI text fields).
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function parsePatternList(value) {
+    if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+    return String(value || '').split(/[,\n]/).map(v => v.trim()).filter(Boolean);
+}
+
+module.exports = { createPathFilter, globToRegExp, parsePatternList };
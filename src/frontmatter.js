@@ -0,0 +1,82 @@
+/**
+ * YAML frontmatter written at the top of every exported note.
+ *
+ * Fields (in output order):
+ *  - title       page title as shown in OneNote
+ *  - created     creation date from the page header, as ISO 8601 (raw text if it cannot be parsed, see dates.js)
+ *  - notebook    notebook name
+ *  - group       section group path ("Work/Clients"), omitted at the notebook root
+ *  - section     section name
+ *  - parent      wikilink to the parent page of a subpage ("[[Clients/Acme/Meeting notes]]")
+ *  - onenote_id  OneNote page ID
+ *  - source      OneNote web URL of the page
+ *
+ * The selection is an array or comma-separated list of field names, 'all', or
+ * 'none' / false to write no frontmatter (the date then stays as a first line,
+ * as before). An object { field: key } picks fields and renames their keys,
+ * e.g. { "title": "title", "created": "date" }.
+ */
+
+const FRONTMATTER_FIELDS = ['title', 'created', 'notebook', 'group', 'section', 'parent', 'onenote_id', 'source'];
+
+/**
+ * Normalizes the --frontmatter option to [[field, key], ...] (empty = disabled).
+ * @param {string|string[]|object|boolean} selection
+ * @returns {Array<[string, string]>}
+ * @throws {Error} on unknown field names
+ */
+function resolveFrontmatterFields(selection = 'all') {
+    if (selection === undefined || selection === null || selection === true || selection === 'all') {
+        return FRONTMATTER_FIELDS.map(field => [field, field]);
+    }
+    if (selection === false || selection === 'none') return [];
+
+    let pairs;
+    if (typeof selection === 'object' && !Array.isArray(selection)) {
+        pairs = Object.entries(selection);
+    } else {
+        const names = Array.isArray(selection) ? selection : String(selection).split(',');
+        pairs = names.map(name => String(name).trim()).filter(Boolean).map(name => [name, name]);
+    }
+
+    const unknown = pairs.map(([field]) => field).filter(field => !FRONTMATTER_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown frontmatter field(s): ${unknown.join(', ')}. Available: ${FRONTMATTER_FIELDS.join(', ')}`);
+    }
+    return pairs;
+}
+
+/** Quotes a string as a YAML double-quoted scalar (JSON strings are valid YAML). */
+function yamlValue(value) {
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}([+-]\d{2}:\d{2}|Z)?$/.test(value)) return value;
+    return JSON.stringify(String(value));
+}
+
+/**
+ * Builds the frontmatter block of a page.
+ * @param {object} meta - { title, created: ISO date or null, dateTime: raw date text, notebook, groups: string[], section, parent, pageId, url }
+ * @param {Array<[string, string]>} fields - Result of resolveFrontmatterFields()
+ * @returns {string} - "---\n...\n---\n" or '' when no field is selected
+ */
+function buildFrontmatter(meta, fields) {
+    if (fields.length === 0) return '';
+
+    const values = {
+        title: meta.title,
+        created: meta.created || meta.dateTime,
+        notebook: meta.notebook,
+        group: (meta.groups || []).join('/'),
+        section: meta.section,
+        parent: meta.parent,
+        onenote_id: meta.pageId,
+        source: meta.url
+    };
+
+    const lines = fields
+        .filter(([field]) => values[field] !== undefined && values[field] !== null && values[field] !== '')
+        .map(([field, key]) => `${key}: ${yamlValue(values[field])}`);
+    return lines.length > 0 ? `---\n${lines.join('\n')}\n---\n` : '';
+}
+
+module.exports = { FRONTMATTER_FIELDS, resolveFrontmatterFields, buildFrontmatter };
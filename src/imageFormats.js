@@ -0,0 +1,118 @@
+/**
+ * File extension of downloaded images.
+ *
+ * OneNote serves images as PNG, JPEG, GIF, WebP, SVG or HEIC, often from URLs
+ * without an extension. The format is read from the first bytes of the file,
+ * then from the Content-Type (or data: URL) MIME type, PNG being the fallback.
+ */
+
+const MIME_EXTENSIONS = {
+    'image/png': 'png',
+    'image/apng': 'png',
+    'image/jpeg': 'jpg',
+    'image/jpg': 'jpg',
+    'image/pjpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+    'image/heic': 'heic',
+    'image/heif': 'heif',
+    'image/avif': 'avif',
+    'image/bmp': 'bmp',
+    'image/x-ms-bmp': 'bmp',
+    'image/tiff': 'tiff'
+};
+
+// Extensions the engine writes; a data-local-src without one is an older .png name
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp|svg|heic|heif|avif|bmp|tiff?)$/i;
+
+// ISO base media (ftyp box) brands of HEIF images
+const HEIF_BRANDS = { heic: 'heic', heix: 'heic', hevc: 'heic', hevx: 'heic', heim: 'heic', heis: 'heic', mif1: 'heif', msf1: 'heif', avif: 'avif', avis: 'avif' };
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+
+/**
+ * Image format from the magic bytes of a file.
+ * @param {Buffer} buffer
+ * @returns {string|null} - Extension ('png', 'jpg', 'svg'...), null when unknown
+ */
+function sniffImageType(buffer) {
+    if (!buffer || buffer.length < 4) return null;
+    if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47])) return 'png';
+    if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'jpg';
+    if (buffer.toString('latin1', 0, 6) === 'GIF87a' || buffer.toString('latin1', 0, 6) === 'GIF89a') return 'gif';
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+        const brand = buffer.toString('latin1', 8, 12);
+        if (HEIF_BRANDS[brand]) return HEIF_BRANDS[brand];
+    }
+    if (startsWith(buffer, [0x42, 0x4d])) return 'bmp';
+    if (startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a])) return 'tiff';
+
+    // SVG is text: an <svg> root after the optional BOM, XML declaration, comments and doctype
+    const text = buffer.toString('utf8', 0, Math.min(buffer.length, 4096)).replace(/^\uFEFF/, '');
+    if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<svg[\s>]/i.test(text)) return 'svg';
+    return null;
+}
+
+/**
+ * Pixel size of a PNG, JPEG or WebP image, read from its header.
+ * @param {Buffer} buffer
+ * @returns {{ width: number, height: number }|null} - null for other formats or a truncated header
+ */
+function imageSize(buffer) {
+    const type = sniffImageType(buffer);
+    if (type === 'png' && buffer.length >= 24 && buffer.toString('latin1', 12, 16) === 'IHDR') {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (type === 'jpg') {
+        // Walk the segments up to the frame header (SOFn)
+        let i = 2;
+        while (i + 9 < buffer.length) {
+            if (buffer[i] !== 0xff) return null;
+            const marker = buffer[i + 1];
+            if (marker === 0xff) {
+                i++;
+            } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: buffer.readUInt16BE(i + 7), height: buffer.readUInt16BE(i + 5) };
+            } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+                i += 2;
+            } else {
+                i += 2 + buffer.readUInt16BE(i + 2);
+            }
+        }
+        return null;
+    }
+    if (type === 'webp' && buffer.length >= 30) {
+        const chunk = buffer.toString('latin1', 12, 16);
+        if (chunk === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+}
+
+/**
+ * Extension to save an image with.
+ * @param {Buffer} buffer - Downloaded bytes
+ * @param {string} contentType - Content-Type header or data: URL MIME type
+ * @returns {string} - 'png' when neither tells
+ */
+function imageExtension(buffer, contentType = '') {
+    const mime = String(contentType || '').split(';')[0].trim().toLowerCase();
+    return sniffImageType(buffer) || MIME_EXTENSIONS[mime] || 'png';
+}
+
+/**
+ * File name of an image from its data-local-src value.
+ * @param {string} localName - 'Page_img_1.jpg', or 'Page_img_1' (saved as .png by older versions)
+ * @returns {string}
+ */
+function localImageName(localName) {
+    return IMAGE_EXTENSIONS.test(localName) ? localName : `${localName}.png`;
+}
+
+module.exports = { sniffImageType, imageSize, imageExtension, localImageName };
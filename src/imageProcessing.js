@@ -0,0 +1,139 @@
+const { imageSize } = require('./imageFormats');
+
+/**
+ * Post-download processing of images, to keep exported vaults small:
+ *  - imageMaxWidth / imageMaxHeight  downscale larger images (aspect ratio kept)
+ *  - imageQuality                    recompress JPEG and WebP images (1-100)
+ *  - imageWebp                       convert PNG images to WebP
+ *
+ * Only PNG, JPEG and WebP are processed; GIF (animation), SVG and HEIC are
+ * kept as downloaded. A processed image replaces the original only when it is
+ * smaller, or when it had to be downscaled.
+ *
+ * The work is done by a processor, async (buffer, plan) => Buffer, where plan
+ * comes from planImage(). The default processor draws the image in a blank
+ * page of the export browser: Chromium decodes and encodes PNG, JPEG and WebP,
+ * so no native image library is needed and it works offline. Another one can be
+ * plugged in through the engine's processImage hook.
+ */
+
+const MIME_TYPES = { png: 'image/png', jpg: 'image/jpeg', webp: 'image/webp' };
+// Quality of images that are resized or converted without imageQuality
+const DEFAULT_QUALITY = 90;
+
+function positiveInteger(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`Invalid ${name} "${value}". Use a whole number of pixels`);
+    }
+    return number;
+}
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Validates the image processing options.
+ * @param {object} options - { imageMaxWidth, imageMaxHeight, imageQuality, imageWebp }
+ * @returns {object|null} - { maxWidth, maxHeight, quality, webp }, null when no processing is asked
+ */
+function resolveImageOptions({ imageMaxWidth, imageMaxHeight, imageQuality, imageWebp } = {}) {
+    if (!isSet(imageMaxWidth) && !isSet(imageMaxHeight) && !isSet(imageQuality) && !imageWebp) return null;
+
+    const quality = isSet(imageQuality) ? Number(imageQuality) : null;
+    if (quality !== null && !(Number.isInteger(quality) && quality >= 1 && quality <= 100)) {
+        throw new Error(`Invalid image quality "${imageQuality}". Use a whole number from 1 to 100`);
+    }
+    return {
+        maxWidth: isSet(imageMaxWidth) ? positiveInteger(imageMaxWidth, 'image max width') : null,
+        maxHeight: isSet(imageMaxHeight) ? positiveInteger(imageMaxHeight, 'image max height') : null,
+        quality,
+        webp: !!imageWebp
+    };
+}
+
+/** Largest size within the maximums, keeping the aspect ratio; never upscales. */
+function fitWithin({ width, height }, maxWidth, maxHeight) {
+    const scale = Math.min(1, maxWidth ? maxWidth / width : 1, maxHeight ? maxHeight / height : 1);
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+    };
+}
+
+/**
+ * Decides what to do with a downloaded image.
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} ext - Its extension (see imageFormats.js)
+ * @param {object} settings - Result of resolveImageOptions()
+ * @returns {object|null} - { source: {width, height}, width, height, format, quality, resize }, null to keep it as is
+ */
+function planImage(buffer, ext, settings) {
+    if (!settings || !MIME_TYPES[ext]) return null;
+    const source = imageSize(buffer);
+    if (!source || source.width < 1 || source.height < 1) return null;
+
+    const { width, height } = fitWithin(source, settings.maxWidth, settings.maxHeight);
+    const resize = width !== source.width || height !== source.height;
+    const format = ext === 'png' && settings.webp ? 'webp' : ext;
+    const recompress = settings.quality !== null && format !== 'png';
+    if (!resize && format === ext && !recompress) return null;
+
+    return { source, width, height, format, quality: settings.quality || DEFAULT_QUALITY, resize };
+}
+
+/**
+ * Default processor: decodes, scales and encodes the image in a blank page of
+ * the browser context.
+ * @param {object} context - Playwright BrowserContext
+ * @returns {{ process: Function, close: Function }}
+ */
+function createBrowserImageProcessor(context) {
+    let pagePromise = null;
+    return {
+        async process(buffer, plan) {
+            if (!pagePromise) pagePromise = context.newPage();
+            const page = await pagePromise;
+            const base64 = await page.evaluate(async ({ data, width, height, source, mimeType, quality }) => {
+                const bytes = Uint8Array.from(atob(data), c => c.charCodeAt(0));
+                const bitmap = await createImageBitmap(new Blob([bytes]));
+                // EXIF rotation is applied on decoding: swap the target size with the source's
+                const rotated = bitmap.width === source.height && bitmap.height === source.width && source.width !== source.height;
+                const canvas = new OffscreenCanvas(rotated ? height : width, rotated ? width : height);
+                const context2d = canvas.getContext('2d');
+                context2d.imageSmoothingQuality = 'high';
+                if (mimeType === 'image/jpeg') {
+                    // JPEG has no transparency
+                    context2d.fillStyle = '#fff';
+                    context2d.fillRect(0, 0, canvas.width, canvas.height);
+                }
+                context2d.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+                const blob = await canvas.convertToBlob({ type: mimeType, quality: quality / 100 });
+                if (blob.type !== mimeType) throw new Error(`The browser cannot encode ${mimeType}`);
+
+                const out = new Uint8Array(await blob.arrayBuffer());
+                let binary = '';
+                for (let i = 0; i < out.length; i += 0x8000) {
+                    binary += String.fromCharCode.apply(null, out.subarray(i, i + 0x8000));
+                }
+                return btoa(binary);
+            }, {
+                data: buffer.toString('base64'),
+                width: plan.width,
+                height: plan.height,
+                source: plan.source,
+                mimeType: MIME_TYPES[plan.format],
+                quality: plan.quality
+            });
+            return Buffer.from(base64, 'base64');
+        },
+
+        async close() {
+            if (!pagePromise) return;
+            const page = await pagePromise.catch(() => null);
+            pagePromise = null;
+            if (page) await page.close().catch(() => {});
+        }
+    };
+}
+
+module.exports = { resolveImageOptions, fitWithin, planImage, createBrowserImageProcessor };
@@ -3,7 +3,25 @@ const { program } = require('commander');
 const logger = require('./utils/logger');
 const { login, checkAuth } = require('./auth');
 const { listNotebooks } = require('./navigator');
-const { runExport } = require('./exporter');
+const { runExport, runTree } = require('./exporter');
+const { loadConfig, mergeOptions } = require('./configFile');
+const { printJson, notebookListJson, authStatusJson } = require('./jsonOutput');
+
+/**
+ * Layers the config files under the command-line flags (flags win).
+ * Exits with an error message when a config file cannot be read.
+ */
+async function withConfig(cliOptions) {
+    try {
+        const { options, sources, warnings } = await loadConfig({ configPath: cliOptions.config });
+        sources.forEach(source => logger.debug(`Using config file: ${source}`));
+        warnings.forEach(warning => logger.warn(warning));
+        return mergeOptions(options, cliOptions);
+    } catch (e) {
+        logger.error(e.message);
+        process.exit(1);
+    }
+}
 
 program
     .name('onenote-export')
@@ -24,12 +42,20 @@ program
 program
     .command('check')
     .description('Check if authenticated')
-    .action(async () => {
+    .option('--json', 'Print { authenticated, email, loginTime } as JSON on stdout (logs go to stderr)')
+    .action(async (options) => {
+        if (options.json) logger.useStderr();
         const isAuth = await checkAuth();
+        const { getAuthMeta } = require('./auth');
+        const meta = isAuth ? await getAuthMeta() : null;
+
+        if (options.json) {
+            printJson(authStatusJson(isAuth, meta));
+            return;
+        }
+
         if (isAuth) {
             logger.success('Authentication file found. You are authenticated.');
-            const { getAuthMeta } = require('./auth');
-            const meta = await getAuthMeta();
             if (meta && meta.email) {
                 const loginTime = new Date(meta.loginTime).toLocaleString();
                 logger.info(`Logged in as: ${meta.email}`);
@@ -45,9 +71,17 @@ program
     .description('List available OneNote notebooks')
     .option('--notheadless', 'Run in visible browser mode for debugging')
     .option('--dodump', 'Dump HTML content to files for debugging')
-    .action(async (options) => {
+    .option('--json', 'Print the notebooks ({ name, id, url }) as JSON on stdout (logs go to stderr)')
+    .option('--config <file>', 'Project config file to use instead of ./.onenote-exporter.json')
+    .action(async (cliOptions) => {
+        if (cliOptions.json) logger.useStderr();
+        const options = await withConfig(cliOptions);
         try {
             const notebooks = await listNotebooks(options);
+            if (options.json) {
+                printJson(notebookListJson(notebooks));
+                return;
+            }
             logger.step('\nAvailable Notebooks:');
             if (notebooks.length === 0) {
                 logger.warn('No notebook have been found.');
@@ -58,6 +92,7 @@ program
             });
         } catch (e) {
             logger.error('Failed to list notebooks.', e);
+            if (options.json) process.exitCode = 1;
         }
     });
 
@@ -69,8 +104,50 @@ program
     .option('--nopassasked', 'Skip password-protected sections instead of asking')
     .option('--notebook <name>', 'Preselect notebook by name (skips interactive selection)')
     .option('--notebook-link <url>', 'Directly export a notebook by its full OneNote URL (skips listing)')
+    .option('--all [regex]', 'Export every notebook (or those whose name matches the regex) in one browser session')
+    .option('--full', 'Rewrite every page, ignoring the manifest of the previous export')
+    .option('--resume', 'Continue an interrupted export from its checkpoint')
+    .option('--pick', 'Scan the notebook first and pick the sections to export from a checkbox tree')
+    .option('--include <glob...>', 'Only export pages whose Group/Section/Page path matches (e.g. "Projects/**")')
+    .option('--exclude <glob...>', 'Skip pages whose Group/Section/Page path matches (e.g. "**/Archive*")')
+    .option('--max-wait <ms>', 'Upper bound for each wait on OneNote to render a section, group or page (default: 10000-30000)')
+    .option('--frontmatter <fields>', 'Comma-separated YAML frontmatter fields: title,created,notebook,group,section,parent,onenote_id,source (default: all)')
+    .option('--date-locale <locale>', 'UI language of OneNote used to read page dates (e.g. en-US, fr-FR; default: detected)')
+    .option('--time-zone <iana>', 'Time zone OneNote shows page dates in (e.g. Europe/Paris; default: this machine)')
+    .option('--page-order', 'Prefix page file names with their position in the section ("01 Intro.md") to keep the OneNote order')
+    .option('--subpages <mode>', 'Where subpages go: flat (next to their parent, default) or folders (in a folder named after the parent)')
+    .option('--style-fidelity <level>', 'Highlights and font colours: plain (drop), obsidian (==highlight==, default) or html (<mark>, <span style>)')
+    .option('--ink-format <format>', 'Ink drawings and handwriting: svg (strokes, default) or png (image as drawn)')
+    .option('--table-strategy <strategy>', 'Table output: auto (HTML only for merged cells, nested tables or lists in cells, default), gfm or html')
+    .option('--guess-code-language', 'Add a language guessed from the code (bash, python, json...) to code blocks')
+    .option('--canvas', 'Also write an Obsidian canvas (<Page>.canvas) keeping the layout of each page')
+    .option('--image-max-width <px>', 'Downscale images wider than this')
+    .option('--image-max-height <px>', 'Downscale images taller than this')
+    .option('--image-quality <1-100>', 'Recompress JPEG and WebP images at this quality')
+    .option('--image-webp', 'Convert PNG images to WebP when that makes them smaller')
+    // Both flags, so the default stays unset and a config file can turn it off
+    .option('--dedupe-assets', 'Save identical images and attachments only once (default)')
+    .option('--no-dedupe-assets', 'Save every image and attachment next to its page, even when identical to one already saved')
+    .option('--no-frontmatter', 'Do not write YAML frontmatter (keeps the page date as first line)')
+    .option('--config <file>', 'Project config file to use instead of ./.onenote-exporter.json')
+    .action(async (options) => {
+        await runExport(await withConfig(options));
+    });
+
+program
+    .command('tree')
+    .description('Print the groups, sections and page counts of a notebook without exporting it')
+    .option('--notheadless', 'Run in visible browser mode for debugging')
+    .option('--dodump', 'Dump HTML content to files for debugging')
+    .option('--notebook <name>', 'Preselect notebook by name (skips interactive selection)')
+    .option('--notebook-link <url>', 'Open a notebook by its full OneNote URL (skips listing)')
+    .option('--pages', 'Also list the page titles of every section')
+    .option('--json', 'Print the tree as JSON on stdout (logs go to stderr)')
+    .option('--max-wait <ms>', 'Upper bound for each wait on OneNote to render a section or group (default: 10000-30000)')
+    .option('--config <file>', 'Project config file to use instead of ./.onenote-exporter.json')
     .action(async (options) => {
-        await runExport(options);
+        if (options.json) logger.useStderr();
+        await runTree(await withConfig(options));
     });
 
 program.parse();
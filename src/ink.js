@@ -0,0 +1,51 @@
+/**
+ * Ink (pen drawings and handwriting) saved as page assets.
+ *
+ * getPageContent() returns one entry per ink container: { id, width, height,
+ * svg?, dataUrl? }. svg is the serialized <svg> of the strokes, dataUrl a PNG
+ * of a <canvas>. The inkFormat option picks what is written:
+ *  - svg  the strokes as a standalone .svg (default); ink that is not a
+ *         single SVG is written as .png
+ *  - png  every ink container as a .png image of how OneNote draws it
+ */
+
+const INK_FORMATS = ['svg', 'png'];
+
+/**
+ * Validates the inkFormat option.
+ * @returns {string} - 'svg' (default) or 'png'
+ */
+function resolveInkFormat(format) {
+    if (format === undefined || format === null || format === '') return 'svg';
+    if (!INK_FORMATS.includes(format)) {
+        throw new Error(`Unknown ink format "${format}". Use one of: ${INK_FORMATS.join(', ')}`);
+    }
+    return format;
+}
+
+/**
+ * Makes serialized inline SVG valid as a file of its own: adds the SVG
+ * namespace, and a size and viewBox taken from the on-page size when missing.
+ * @param {string} markup - <svg ...>...</svg>
+ * @param {object} size - { width, height } in CSS pixels
+ * @returns {string}
+ */
+function standaloneSvg(markup, { width, height } = {}) {
+    const openTag = markup.match(/^\s*<svg\b[^>]*>/i);
+    if (!openTag) throw new Error('Not an <svg> element');
+
+    const attributes = [];
+    const has = (name) => new RegExp(`\\s${name}\\s*=`, 'i').test(openTag[0]);
+    if (!has('xmlns')) attributes.push('xmlns="http://www.w3.org/2000/svg"');
+    if (width > 0 && height > 0) {
+        if (!has('width')) attributes.push(`width="${width}"`);
+        if (!has('height')) attributes.push(`height="${height}"`);
+        if (!has('viewBox')) attributes.push(`viewBox="0 0 ${width} ${height}"`);
+    }
+    const tag = attributes.length > 0
+        ? openTag[0].replace(/^(\s*<svg)\b/i, `$1 ${attributes.join(' ')}`)
+        : openTag[0];
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${tag.trim()}${markup.slice(openTag[0].length)}\n`;
+}
+
+module.exports = { INK_FORMATS, resolveInkFormat, standaloneSvg };
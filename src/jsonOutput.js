@@ -0,0 +1,39 @@
+/**
+ * Machine-readable output of the `list` and `check` commands (--json).
+ * The JSON goes to stdout; the commands send their log output to stderr
+ * (logger.useStderr()) so scripts can parse stdout as is.
+ */
+
+/**
+ * Writes a value as indented JSON, followed by a newline.
+ * @param {*} data
+ * @param {object} stream - Writable stream (default: stdout)
+ */
+function printJson(data, stream = process.stdout) {
+    stream.write(JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * `list --json` output.
+ * @param {Array} notebooks - Result of listNotebooks()
+ * @returns {Array} - [{ name, id, url }], missing values as null
+ */
+function notebookListJson(notebooks) {
+    return notebooks.map(({ name, id, url }) => ({ name, id: id || null, url: url || null }));
+}
+
+/**
+ * `check --json` output.
+ * @param {boolean} authenticated - Result of checkAuth()
+ * @param {object|null} meta - Result of getAuthMeta() ({ email, loginTime })
+ * @returns {{ authenticated: boolean, email: string|null, loginTime: string|null }}
+ */
+function authStatusJson(authenticated, meta) {
+    return {
+        authenticated: !!authenticated,
+        email: (authenticated && meta && meta.email) || null,
+        loginTime: (authenticated && meta && meta.loginTime) || null
+    };
+}
+
+module.exports = { printJson, notebookListJson, authStatusJson };
@@ -11,8 +11,8 @@ async function resolveInternalLinks(pageIdMap, outputBase) {
     for (const [pageId, info] of Object.entries(pageIdMap)) {
         if (info.isDir) continue;
 
-        let content = await fs.readFile(info.path, 'utf8');
-        let modified = false;
+        // Wikilink of each link whose target was found, by link id
+        const resolved = [];
 
         for (const link of info.internalLinks || []) {
             // Try to find the target item (page, section, or group) in our map
@@ -83,30 +83,51 @@ async function resolveInternalLinks(pageIdMap, outputBase) {
                 // Avoid .md extension for Wikilinks to files
                 const cleanPath = targetInfo.isDir ? relPath : relPath.replace(/\.md$/, '');
 
-                // IMPORTANT: Use a non-capturing group for the bracketed text because 
-                // Turndown might have escaped characters (like _ to \_) inside it.
-                // We target the unique onenote-link ID instead.
-                const placeholderRegex = new RegExp(`\\[\\[.*?\\]\\]<!-- onenote-link:${link.id} -->`, 'g');
-
-                content = content.replace(placeholderRegex, `[[${cleanPath}|${link.text}]]`);
-                modified = true;
+                resolved.push({ id: link.id, wikilink: `[[${cleanPath}|${link.text}]]` });
             }
         }
 
-        // Cleanup: Remove any remaining onenote-link comments (for links that weren't resolved)
-        // Also remove the comments for successfully resolved links if the regex above didn't catch them all (it should have replaced the whole block)
-        // But specifically for UNRESOLVED links, we want to keep the text but remove the comment.
-        // The structure for unresolved is likely: [[Link Text]]<!-- onenote-link:id -->
-        // We just want to remove the comment part globally.
-        if (content.includes('<!-- onenote-link:')) {
-            content = content.replace(/<!-- onenote-link:.*? -->/g, '');
-            modified = true;
+        // The page's canvas (--canvas) holds the same placeholders, inside JSON strings
+        await resolveFile(info.path, resolved, (text) => text);
+        if (info.canvasPath) {
+            await resolveFile(info.canvasPath, resolved, (text) => JSON.stringify(text).slice(1, -1));
         }
+    }
+}
 
-        if (modified) {
-            await fs.writeFile(info.path, content);
+/**
+ * Replaces the link placeholders of one file.
+ * @param {Array} resolved - [{ id, wikilink }]
+ * @param {Function} escape - Escapes a wikilink for the file format
+ */
+async function resolveFile(filePath, resolved, escape) {
+    let content = await fs.readFile(filePath, 'utf8');
+    let modified = false;
+
+    for (const { id, wikilink } of resolved) {
+        // IMPORTANT: Use a non-capturing group for the bracketed text because 
+        // Turndown might have escaped characters (like _ to \_) inside it.
+        // We target the unique onenote-link ID instead.
+        const placeholderRegex = new RegExp(`\\[\\[.*?\\]\\]<!-- onenote-link:${id} -->`, 'g');
+        if (placeholderRegex.test(content)) {
+            content = content.replace(placeholderRegex, escape(wikilink));
+            modified = true;
         }
     }
+
+    // Cleanup: Remove any remaining onenote-link comments (for links that weren't resolved)
+    // Also remove the comments for successfully resolved links if the regex above didn't catch them all (it should have replaced the whole block)
+    // But specifically for UNRESOLVED links, we want to keep the text but remove the comment.
+    // The structure for unresolved is likely: [[Link Text]]<!-- onenote-link:id -->
+    // We just want to remove the comment part globally.
+    if (content.includes('<!-- onenote-link:')) {
+        content = content.replace(/<!-- onenote-link:.*? -->/g, '');
+        modified = true;
+    }
+
+    if (modified) {
+        await fs.writeFile(filePath, content);
+    }
 }
 
 module.exports = { resolveInternalLinks };
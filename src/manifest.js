@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const MANIFEST_FILE = '.onenote-export.json';
+const MANIFEST_VERSION = 1;
+
+// Query parameters OneNote Web, SharePoint and Azure storage sign URLs with
+// (whole names only: "author" or "design" identify content)
+const SESSION_PARAM = new RegExp('^(' + [
+    'access_token', 'token', 'authtoken', 'tempauth', 'auth', 'sig', 'signature', 'session', 'sessionid',
+    'expires', 'expiry', 'expiration', 'usid', 'ts',
+    // Azure shared access signatures
+    'se', 'st', 'sv', 'sp', 'sr', 'spr', 'ske', 'skt', 'skoid', 'sktid', 'sks', 'skv',
+    // AWS signed URLs
+    'x-amz-[a-z-]+'
+].join('|') + ')$', 'i');
+
+/**
+ * Resource URL without its per-session part: signing and token query
+ * parameters are removed, the rest (which identifies the image or link
+ * target) is kept. blob: URLs are new in every session.
+ * @param {string} url - src/href attribute value (HTML-escaped)
+ * @returns {string}
+ */
+function stableUrl(url) {
+    if (url.startsWith('blob:')) return 'blob:';
+    const queryStart = url.indexOf('?');
+    if (queryStart === -1) return url;
+    const hashStart = url.indexOf('#', queryStart);
+    const query = url.slice(queryStart + 1, hashStart === -1 ? undefined : hashStart);
+    const kept = query.split(/&amp;|&/).filter(param => param && !SESSION_PARAM.test(param.split('=')[0]));
+    return url.slice(0, queryStart) + (kept.length ? `?${kept.join('&')}` : '') + (hashStart === -1 ? '' : url.slice(hashStart));
+}
+
+/** HTML with the per-session part of its src/href URLs removed. */
+function stableHtml(html) {
+    return html.replace(/\s(src|href)="([^"]*)"/g, (match, attr, url) => ` ${attr}="${stableUrl(url)}"`);
+}
+
+/**
+ * Computes a stable hash of a scraped page.
+ * Resource URLs (src/href) are hashed without their per-session tokens (see
+ * stableUrl()), which would otherwise make every page look modified on every run.
+ * @param {object} content - Result of getPageContent()
+ * @param {string} outputSettings - Settings that change the written file (e.g. frontmatter
+ *                                  fields), so changing them rewrites the pages
+ * @returns {string} - sha256 hex digest
+ */
+function hashPageContent(content, outputSettings = '') {
+    const html = stableHtml(content.contentHtml || '');
+    const hash = crypto.createHash('sha256')
+        .update(outputSettings)
+        .update(content.title || '')
+        .update('\n')
+        .update(content.dateTime || '')
+        .update('\n')
+        .update(html);
+    // Ink only appears as a placeholder in the HTML; hash the strokes themselves.
+    // Pages without ink keep the hash they had before ink was exported.
+    if (content.inks && content.inks.length > 0) {
+        hash.update(JSON.stringify(content.inks.map(ink => ink.svg || ink.dataUrl || `${ink.width}x${ink.height}`)));
+    }
+    // Block positions are only scraped for the canvas export
+    if (content.layout && content.layout.length > 0) {
+        hash.update(JSON.stringify(content.layout));
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Hash of the raw markup of a page (see getPageMarkup in scrapers.js). Taken
+ * before the page is scraped, it lets the export skip pages whose markup has
+ * not changed since it was last written.
+ * @param {string} markup - Page markup
+ * @param {string} outputSettings - As for hashPageContent()
+ * @returns {string} - sha256 hex digest
+ */
+function hashPageMarkup(markup, outputSettings = '') {
+    return crypto.createHash('sha256')
+        .update(outputSettings)
+        .update('\n')
+        .update(stableHtml(markup))
+        .digest('hex');
+}
+
+/**
+ * Persistent record of what a previous export wrote in a notebook folder.
+ * Stored as <outputBase>/.onenote-export.json:
+ * { version, lastRun, pages: { [pageId]: { path, hash, markupHash?, lastSeen } }, assets: { [sha256]: path } }
+ * (assets: see assetStore.js). Paths are relative to the notebook folder so the export can be moved.
+ */
+class ExportManifest {
+    constructor(outputBase, data = null) {
+        this.outputBase = outputBase;
+        this.filePath = path.join(outputBase, MANIFEST_FILE);
+        this.pages = (data && data.version === MANIFEST_VERSION && data.pages) || {};
+        this.assets = (data && data.version === MANIFEST_VERSION && data.assets) || {};
+        this.lastRun = data ? data.lastRun || null : null;
+        this.seen = new Set();
+    }
+
+    /**
+     * Loads the manifest of a notebook folder (empty if missing or unreadable).
+     * @param {string} outputBase - Notebook output folder
+     * @returns {Promise<ExportManifest>}
+     */
+    static async load(outputBase) {
+        const filePath = path.join(outputBase, MANIFEST_FILE);
+        try {
+            if (await fs.pathExists(filePath)) {
+                return new ExportManifest(outputBase, await fs.readJson(filePath));
+            }
+        } catch (e) {
+            // Corrupt manifest: behave as a first run
+        }
+        return new ExportManifest(outputBase);
+    }
+
+    /**
+     * True when the page was exported before with the same content hash to the
+     * same file, and that file is still on disk.
+     */
+    async isUnchanged(pageId, hash, filePath) {
+        const entry = this.pages[pageId];
+        if (!entry || entry.hash !== hash) return false;
+        if (entry.path !== this._relative(filePath)) return false;
+        return fs.pathExists(filePath);
+    }
+
+    /** Same as isUnchanged(), for the hash of the page markup (see hashPageMarkup()). */
+    async isMarkupUnchanged(pageId, markupHash, filePath) {
+        const entry = this.pages[pageId];
+        if (!entry || !entry.markupHash || entry.markupHash !== markupHash) return false;
+        return this.isUnchanged(pageId, entry.hash, filePath);
+    }
+
+    /**
+     * Records a page as seen in this run, updating its path and hashes.
+     * @param {string|null} markupHash - Hash of the page markup, null if it could not be read
+     */
+    record(pageId, filePath, hash, markupHash = null) {
+        this.seen.add(pageId);
+        this.pages[pageId] = {
+            path: this._relative(filePath),
+            hash,
+            ...(markupHash ? { markupHash } : {}),
+            lastSeen: new Date().toISOString()
+        };
+    }
+
+    /** Marks a page as still present without changing what was written. */
+    touch(pageId) {
+        this.seen.add(pageId);
+        if (this.pages[pageId]) {
+            this.pages[pageId].lastSeen = new Date().toISOString();
+        }
+    }
+
+    /**
+     * Marks every page recorded under a folder as still present, e.g. for a
+     * section skipped in this run, whose pages we could not list.
+     */
+    touchUnder(dirPath) {
+        const prefix = this._relative(dirPath) + '/';
+        for (const id of Object.keys(this.pages)) {
+            if (this.pages[id].path.startsWith(prefix)) this.touch(id);
+        }
+    }
+
+    /**
+     * Pages recorded by an earlier run but not seen in this one.
+     * @returns {Array<{ id, path }>}
+     */
+    getDeleted() {
+        return Object.keys(this.pages)
+            .filter(id => !this.seen.has(id))
+            .map(id => ({ id, path: this.pages[id].path }));
+    }
+
+    /** Drops the given page IDs from the manifest. */
+    forget(pageIds) {
+        for (const id of pageIds) delete this.pages[id];
+    }
+
+    async save() {
+        this.lastRun = new Date().toISOString();
+        await fs.writeJson(this.filePath, {
+            version: MANIFEST_VERSION,
+            lastRun: this.lastRun,
+            pages: this.pages,
+            assets: this.assets
+        }, { spaces: 2 });
+    }
+
+    _relative(filePath) {
+        return path.relative(this.outputBase, filePath).split(path.sep).join('/');
+    }
+}
+
+module.exports = { ExportManifest, hashPageContent, hashPageMarkup, stableUrl, MANIFEST_FILE };
@@ -0,0 +1,223 @@
+/**
+ * MathML → LaTeX for OneNote equations.
+ *
+ * OneNote Web exposes equations as presentation MathML. The common elements
+ * (tokens, rows, scripts, fractions, roots, fences, accents, matrices) are
+ * converted; a TeX annotation, when present, is used as is. Anything else
+ * makes the conversion fail so the caller can fall back to an image of the
+ * equation rather than write wrong math.
+ */
+
+const GREEK = {
+    'α': '\\alpha', 'β': '\\beta', 'γ': '\\gamma', 'δ': '\\delta', 'ε': '\\epsilon', 'ϵ': '\\epsilon', 'ζ': '\\zeta',
+    'η': '\\eta', 'θ': '\\theta', 'ϑ': '\\vartheta', 'ι': '\\iota', 'κ': '\\kappa', 'λ': '\\lambda', 'μ': '\\mu',
+    'ν': '\\nu', 'ξ': '\\xi', 'π': '\\pi', 'ρ': '\\rho', 'σ': '\\sigma', 'ς': '\\varsigma', 'τ': '\\tau',
+    'υ': '\\upsilon', 'φ': '\\phi', 'ϕ': '\\phi', 'χ': '\\chi', 'ψ': '\\psi', 'ω': '\\omega',
+    'Γ': '\\Gamma', 'Δ': '\\Delta', 'Θ': '\\Theta', 'Λ': '\\Lambda', 'Ξ': '\\Xi', 'Π': '\\Pi', 'Σ': '\\Sigma',
+    'Υ': '\\Upsilon', 'Φ': '\\Phi', 'Ψ': '\\Psi', 'Ω': '\\Omega'
+};
+
+const OPERATORS = {
+    '∑': '\\sum', '∏': '\\prod', '∐': '\\coprod', '∫': '\\int', '∬': '\\iint', '∭': '\\iiint', '∮': '\\oint',
+    '⋃': '\\bigcup', '⋂': '\\bigcap', '±': '\\pm', '∓': '\\mp', '×': '\\times', '÷': '\\div', '⋅': '\\cdot',
+    '·': '\\cdot', '∗': '\\ast', '∘': '\\circ', '≤': '\\le', '≥': '\\ge', '≠': '\\ne', '≈': '\\approx',
+    '≡': '\\equiv', '∼': '\\sim', '≅': '\\cong', '∝': '\\propto', '≪': '\\ll', '≫': '\\gg', '∈': '\\in',
+    '∉': '\\notin', '∋': '\\ni', '⊂': '\\subset', '⊃': '\\supset', '⊆': '\\subseteq', '⊇': '\\supseteq',
+    '∪': '\\cup', '∩': '\\cap', '∧': '\\wedge', '∨': '\\vee', '¬': '\\neg', '∀': '\\forall', '∃': '\\exists',
+    '∅': '\\emptyset', '∇': '\\nabla', '∂': '\\partial', '∞': '\\infty', '→': '\\to', '←': '\\leftarrow',
+    '↔': '\\leftrightarrow', '⇒': '\\Rightarrow', '⇐': '\\Leftarrow', '⇔': '\\Leftrightarrow', '↦': '\\mapsto',
+    '…': '\\ldots', '⋯': '\\cdots', '⋮': '\\vdots', '⋱': '\\ddots', '°': '^\\circ', '′': '\'', '″': '\'\'',
+    '−': '-', '\u2061': '', '\u2062': '', '\u2063': ',', '{': '\\{', '}': '\\}', '%': '\\%', '#': '\\#', '&': '\\&',
+    '_': '\\_', '∣': '\\mid', '‖': '\\|', '⟨': '\\langle', '⟩': '\\rangle', '⌊': '\\lfloor', '⌋': '\\rfloor',
+    '⌈': '\\lceil', '⌉': '\\rceil', 'ℏ': '\\hbar', 'ℓ': '\\ell', 'ℝ': '\\mathbb{R}', 'ℕ': '\\mathbb{N}',
+    'ℤ': '\\mathbb{Z}', 'ℚ': '\\mathbb{Q}', 'ℂ': '\\mathbb{C}'
+};
+
+// Operators written with limits below/above (\sum_{i}^{n}) rather than \underset
+const LIMIT_OPERATORS = ['\\sum', '\\prod', '\\coprod', '\\int', '\\iint', '\\iiint', '\\oint', '\\bigcup', '\\bigcap', '\\lim', '\\max', '\\min', '\\sup', '\\inf'];
+
+const FUNCTIONS = ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'sinh', 'cosh', 'tanh', 'arcsin', 'arccos', 'arctan',
+    'log', 'ln', 'lg', 'exp', 'lim', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'deg', 'dim', 'ker', 'arg', 'Pr'];
+
+const ACCENTS = {
+    '^': '\\hat', 'ˆ': '\\hat', '\u0302': '\\hat', '~': '\\tilde', '˜': '\\tilde', '\u0303': '\\tilde', '¯': '\\overline',
+    '‾': '\\overline', '\u0305': '\\overline', '→': '\\vec', '\u20d7': '\\vec', '˙': '\\dot', '\u0307': '\\dot', '¨': '\\ddot',
+    '\u0308': '\\ddot', '⏞': '\\overbrace', '︷': '\\overbrace'
+};
+const UNDER_ACCENTS = { '_': '\\underline', '\u0332': '\\underline', '⏟': '\\underbrace', '︸': '\\underbrace' };
+
+class UnsupportedMathError extends Error {}
+
+const elementChildren = (node) => Array.from(node.childNodes).filter(child => child.nodeType === 1);
+const localName = (node) => (node.localName || node.nodeName).toLowerCase().replace(/^m:/, '');
+const textOf = (node) => (node.textContent || '').trim();
+
+/** Maps each character of a token through the symbol tables. */
+function mapSymbols(text) {
+    return Array.from(text).map(c => GREEK[c] || OPERATORS[c] || c).join('');
+}
+
+/**
+ * Concatenates LaTeX fragments, keeping a space after a command or a one-character
+ * script followed by a letter (\\pi r, x^2 y).
+ */
+function joinLatex(parts) {
+    return parts.reduce((out, part) => {
+        if (!part) return out;
+        const needsSpace = /(\\[a-zA-Z]+|[_^][a-zA-Z0-9])$/.test(out) && /^[a-zA-Z0-9]/.test(part);
+        return needsSpace ? `${out} ${part}` : out + part;
+    }, '');
+}
+
+/** Braces a script or argument unless it is a single character or command. */
+function group(latex) {
+    return /^(.|\\[a-zA-Z]+)$/.test(latex) ? latex : `{${latex}}`;
+}
+
+function convertRow(nodes) {
+    return joinLatex(nodes.map(convertNode));
+}
+
+function convertToken(node) {
+    const name = localName(node);
+    const text = textOf(node);
+    if (name === 'mn') return text;
+    if (name === 'mtext') return text ? `\\text{${text.replace(/[{}\\]/g, '')}}` : '';
+    if (name === 'ms') return `\\text{"${text}"}`;
+    if (name === 'mi') {
+        if (FUNCTIONS.includes(text)) return `\\${text}`;
+        if (Array.from(text).length > 1) return `\\mathrm{${text}}`;
+        return mapSymbols(text);
+    }
+    // mo
+    if (FUNCTIONS.includes(text)) return `\\${text}`;
+    return mapSymbols(text);
+}
+
+function convertScripts(node) {
+    const name = localName(node);
+    const [base, first, second] = elementChildren(node).map(convertNode);
+    if (base === undefined || first === undefined) throw new UnsupportedMathError(`<${name}> without arguments`);
+
+    if (name === 'msup') return `${group(base)}^${group(first)}`;
+    if (name === 'msub') return `${group(base)}_${group(first)}`;
+    if (name === 'msubsup') return `${group(base)}_${group(first)}^${group(second || '')}`;
+
+    const isLimit = LIMIT_OPERATORS.includes(base);
+    const accentText = textOf(elementChildren(node)[1]);
+    if (name === 'mover') {
+        if (isLimit) return `${base}^${group(first)}`;
+        if (ACCENTS[accentText]) return `${ACCENTS[accentText]}{${base}}`;
+        return `\\overset{${first}}{${base}}`;
+    }
+    if (name === 'munder') {
+        if (isLimit) return `${base}_${group(first)}`;
+        if (UNDER_ACCENTS[accentText]) return `${UNDER_ACCENTS[accentText]}{${base}}`;
+        return `\\underset{${first}}{${base}}`;
+    }
+    // munderover
+    if (isLimit) return `${base}_${group(first)}^${group(second || '')}`;
+    return `\\underset{${first}}{\\overset{${second || ''}}{${base}}}`;
+}
+
+function convertFence(open, close, content) {
+    const delimiter = (d) => (d === '' ? '.' : (OPERATORS[d] || d));
+    return `\\left${delimiter(open)} ${content} \\right${delimiter(close)}`;
+}
+
+function convertNode(node) {
+    if (node.nodeType === 3) return mapSymbols(node.textContent.trim());
+    if (node.nodeType !== 1) return '';
+
+    const name = localName(node);
+    const children = elementChildren(node);
+    switch (name) {
+    case 'math':
+    case 'mrow':
+    case 'mstyle':
+    case 'mpadded':
+        return convertRow(children);
+    case 'semantics': {
+        const tex = children.find(c => localName(c) === 'annotation' &&
+            /^(application\/x-tex|tex|latex)$/i.test(c.getAttribute('encoding') || ''));
+        if (tex) return textOf(tex);
+        return convertRow(children.filter(c => !localName(c).startsWith('annotation')));
+    }
+    case 'annotation':
+    case 'annotation-xml':
+    case 'mphantom':
+    case 'none':
+        return '';
+    case 'mi':
+    case 'mn':
+    case 'mo':
+    case 'mtext':
+    case 'ms':
+        return convertToken(node);
+    case 'mspace':
+        return '\\,';
+    case 'msup':
+    case 'msub':
+    case 'msubsup':
+    case 'mover':
+    case 'munder':
+    case 'munderover':
+        return convertScripts(node);
+    case 'mfrac': {
+        if (children.length !== 2) throw new UnsupportedMathError('<mfrac> needs two arguments');
+        const [num, den] = children.map(convertNode);
+        return node.getAttribute('linethickness') === '0' ? `\\binom{${num}}{${den}}` : `\\frac{${num}}{${den}}`;
+    }
+    case 'msqrt':
+        return `\\sqrt{${convertRow(children)}}`;
+    case 'mroot': {
+        if (children.length !== 2) throw new UnsupportedMathError('<mroot> needs two arguments');
+        return `\\sqrt[${convertNode(children[1])}]{${convertNode(children[0])}}`;
+    }
+    case 'mfenced': {
+        const open = node.hasAttribute('open') ? node.getAttribute('open') : '(';
+        const close = node.hasAttribute('close') ? node.getAttribute('close') : ')';
+        const separators = (node.hasAttribute('separators') ? node.getAttribute('separators') : ',').replace(/\s/g, '');
+        const items = children.map(convertNode);
+        const content = items.reduce((out, item, i) => i === 0 ? item
+            : out + (separators[Math.min(i - 1, separators.length - 1)] || '') + ' ' + item, '');
+        return convertFence(open, close, content);
+    }
+    case 'mtable':
+        return `\\begin{matrix} ${children.map(convertNode).join(' \\\\ ')} \\end{matrix}`;
+    case 'mtr':
+        return children.map(convertNode).join(' & ');
+    case 'mtd':
+        return convertRow(children.length > 0 ? children : Array.from(node.childNodes));
+    default:
+        throw new UnsupportedMathError(`Unsupported MathML element <${name}>`);
+    }
+}
+
+/**
+ * Converts a MathML element to LaTeX.
+ * @param {object} mathNode - <math> DOM element (browser or Turndown's DOM)
+ * @returns {string|null} - LaTeX without delimiters, null when it cannot be converted
+ */
+function mathmlToLatex(mathNode) {
+    try {
+        const latex = convertNode(mathNode).replace(/\s+/g, ' ').trim();
+        return latex || null;
+    } catch (e) {
+        if (e instanceof UnsupportedMathError) return null;
+        throw e;
+    }
+}
+
+/** First <math> element in a subtree (Turndown's DOM has no namespace-aware selectors). */
+function findMath(node) {
+    if (node.nodeName.toLowerCase() === 'math') return node;
+    for (const child of Array.from(node.childNodes)) {
+        if (child.nodeType !== 1) continue;
+        const found = findMath(child);
+        if (found) return found;
+    }
+    return null;
+}
+
+module.exports = { mathmlToLatex, findMath };
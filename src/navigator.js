@@ -71,154 +71,168 @@ async function dismissMcasInterstitial(page) {
     return false;
 }
 
-async function listNotebooks(options = {}) {
-    logger.info('Connecting to OneNote...');
-
-    // Default to true (headless) unless --notheadless is passed
-    const headless = !options.notheadless;
-    logger.debug(`Launching browser (headless: ${headless})...`);
+/**
+ * Navigates a page to the OneNote notebooks list and scrapes it.
+ * Also used to come back to the list between notebooks (export --all).
+ *
+ * @param {import('playwright').Page} page
+ * @param {object} options - { dodump }
+ * @returns {Promise<{ notebooks: Array, scrapeTarget: object }>}
+ */
+async function loadNotebookList(page, options = {}) {
+    logger.info('Navigating to notebooks list...');
+    await page.goto(ONENOTE_URL);
 
-    const browser = await chromium.launch({ headless });
+    // Wait for initial DOM content
     try {
-        const context = await getAuthenticatedContext(browser);
-        const page = await context.newPage();
-
-        logger.info('Navigating to notebooks list...');
-        await page.goto(ONENOTE_URL);
+        logger.debug('Waiting for page content (domcontentloaded)...');
+        await page.waitForLoadState('domcontentloaded', { timeout: 30000 });
+    } catch (e) {
+        logger.warn('Page load timeout/warning, proceeding to scrape anyway...');
+    }
 
-        // Wait for initial DOM content
-        try {
-            logger.debug('Waiting for page content (domcontentloaded)...');
-            await page.waitForLoadState('domcontentloaded', { timeout: 30000 });
-        } catch (e) {
-            logger.warn('Page load timeout/warning, proceeding to scrape anyway...');
-        }
+    // Wait for all in-flight redirects to settle (Microsoft auth chain can do 3-4 hops).
+    // networkidle waits until there are no network requests for 500ms.
+    logger.info('Waiting for page to fully settle after redirects...');
+    try {
+        await page.waitForLoadState('networkidle', { timeout: 45000 });
+    } catch (e) {
+        logger.warn('Network idle timeout — continuing anyway...');
+    }
 
-        // Wait for all in-flight redirects to settle (Microsoft auth chain can do 3-4 hops).
-        // networkidle waits until there are no network requests for 500ms.
-        logger.info('Waiting for page to fully settle after redirects...');
-        try {
-            await page.waitForLoadState('networkidle', { timeout: 45000 });
-        } catch (e) {
-            logger.warn('Network idle timeout — continuing anyway...');
-        }
+    // Dismiss MCAS "Use Edge Browser" interstitial if present
+    await dismissMcasInterstitial(page);
 
-        // Dismiss MCAS "Use Edge Browser" interstitial if present
-        await dismissMcasInterstitial(page);
+    // Extra grace period for SPA JS rendering
+    logger.info('Waiting 5 seconds for dynamic content to render...');
+    await page.waitForTimeout(5000);
 
-        // Extra grace period for SPA JS rendering
-        logger.info('Waiting 5 seconds for dynamic content to render...');
-        await page.waitForTimeout(5000);
+    // Dump main page content if requested
+    if (options.dodump) {
+        const dumpDir = await logger.getDumpDir();
+        const displayPath = logger.getDumpDisplayPath();
+        logger.warn(`Dumping main page content to ${displayPath}/debug_page_dump.html...`);
+        const content = await page.content();
+        await fs.writeFile(path.join(dumpDir, 'debug_page_dump.html'), content);
+    }
 
-        // Dump main page content if requested
-        if (options.dodump) {
-            const dumpDir = await logger.getDumpDir();
-            const displayPath = logger.getDumpDisplayPath();
-            logger.warn(`Dumping main page content to ${displayPath}/debug_page_dump.html...`);
-            const content = await page.content();
-            await fs.writeFile(path.join(dumpDir, 'debug_page_dump.html'), content);
-        }
+    // Try to locate the relevant iframe — wrap in try/catch in case the page
+    // navigates again mid-call (execution context destroyed).
+    logger.info('Looking for "OneNote File Browser" iframe...');
+    let frameElement = null;
+    try {
+        frameElement = await page.$('#FileBrowserIFrame');
+    } catch (e) {
+        logger.warn(`Could not query #FileBrowserIFrame (${e.message}) — falling back to main page.`);
+    }
+    let frame = null;
 
-        // Try to locate the relevant iframe — wrap in try/catch in case the page
-        // navigates again mid-call (execution context destroyed).
-        logger.info('Looking for "OneNote File Browser" iframe...');
-        let frameElement = null;
+    if (frameElement) {
+        logger.success('Found iframe element #FileBrowserIFrame, switching to it...');
         try {
-            frameElement = await page.$('#FileBrowserIFrame');
+            frame = await frameElement.contentFrame();
         } catch (e) {
-            logger.warn(`Could not query #FileBrowserIFrame (${e.message}) — falling back to main page.`);
+            logger.warn(`contentFrame() failed (${e.message}) — falling back to main page.`);
         }
-        let frame = null;
 
-        if (frameElement) {
-            logger.success('Found iframe element #FileBrowserIFrame, switching to it...');
-            try {
-                frame = await frameElement.contentFrame();
-            } catch (e) {
-                logger.warn(`contentFrame() failed (${e.message}) — falling back to main page.`);
-            }
-
-            if (frame) {
-                if (options.dodump) {
-                    const dumpDir = await logger.getDumpDir();
-                    const displayPath = logger.getDumpDisplayPath();
-                    logger.warn(`Dumping iframe content to ${displayPath}/debug_frame_dump.html...`);
-                    const frameContent = await frame.content();
-                    await fs.writeFile(path.join(dumpDir, 'debug_frame_dump.html'), frameContent);
-                }
-            } else {
-                logger.error('Could not get contentFrame() from element.');
+        if (frame) {
+            if (options.dodump) {
+                const dumpDir = await logger.getDumpDir();
+                const displayPath = logger.getDumpDisplayPath();
+                logger.warn(`Dumping iframe content to ${displayPath}/debug_frame_dump.html...`);
+                const frameContent = await frame.content();
+                await fs.writeFile(path.join(dumpDir, 'debug_frame_dump.html'), frameContent);
             }
         } else {
-            logger.error('Could not find #FileBrowserIFrame in main page.');
-            // Fallback to main page if iframe not found
-            frame = page;
+            logger.error('Could not get contentFrame() from element.');
         }
+    } else {
+        logger.error('Could not find #FileBrowserIFrame in main page.');
+        // Fallback to main page if iframe not found
+        frame = page;
+    }
 
-        let notebooks = [];
-        const maxRetries = 10;
-
-        // Use the identified frame (or page) for scraping
-        const scrapeTarget = frame || page;
-
-        for (let i = 0; i < maxRetries; i++) {
-            logger.debug(`Attempt ${i + 1}/${maxRetries} to find notebooks in frame...`);
-
-            notebooks = await scrapeTarget.evaluate(() => {
-                // FluentUI DetailsList selectors
-                const rows = Array.from(document.querySelectorAll('div[role="row"]'));
-
-                return rows
-                    // Exclude header rows
-                    .filter(r => r.getAttribute('data-automationid') !== 'row-header')
-                    .map(row => {
-                        // Look for the name cell
-                        const nameCell = row.querySelector('[data-automationid="field-name"]');
-                        if (!nameCell) return null;
-
-                        // Look for the clickable button/link inside
-                        const linkBtn = nameCell.querySelector('button[role="link"]');
-                        if (!linkBtn) return null;
-
-                        return {
-                            name: linkBtn.innerText.trim(),
-                            // There is no direct HREF in these SPA links. 
-                            // We mark it as 'click-to-open' for future handling.
-                            url: 'click-to-open',
-                            id: row.getAttribute('data-automationid') // Capture ID for potential precise targeting
-                        };
-                    })
-                    .filter(n => n && n.name);
-            });
-
-            if (notebooks.length > 0) {
-                logger.success(`Found ${notebooks.length} notebooks!`);
-                break;
-            }
+    let notebooks = [];
+    const maxRetries = 10;
+
+    // Use the identified frame (or page) for scraping
+    const scrapeTarget = frame || page;
+
+    for (let i = 0; i < maxRetries; i++) {
+        logger.debug(`Attempt ${i + 1}/${maxRetries} to find notebooks in frame...`);
+
+        notebooks = await scrapeTarget.evaluate(() => {
+            // FluentUI DetailsList selectors
+            const rows = Array.from(document.querySelectorAll('div[role="row"]'));
+
+            return rows
+                // Exclude header rows
+                .filter(r => r.getAttribute('data-automationid') !== 'row-header')
+                .map(row => {
+                    // Look for the name cell
+                    const nameCell = row.querySelector('[data-automationid="field-name"]');
+                    if (!nameCell) return null;
+
+                    // Look for the clickable button/link inside
+                    const linkBtn = nameCell.querySelector('button[role="link"]');
+                    if (!linkBtn) return null;
+
+                    return {
+                        name: linkBtn.innerText.trim(),
+                        // There is no direct HREF in these SPA links. 
+                        // We mark it as 'click-to-open' for future handling.
+                        url: 'click-to-open',
+                        id: row.getAttribute('data-automationid') // Capture ID for potential precise targeting
+                    };
+                })
+                .filter(n => n && n.name);
+        });
+
+        if (notebooks.length > 0) {
+            logger.success(`Found ${notebooks.length} notebooks!`);
+            break;
+        }
 
-            if (i < maxRetries - 1) {
-                logger.debug('No notebooks found yet, waiting 5 seconds...');
-                logger.info('Will wait 5 seconds to let the document load properly');
-                await page.waitForTimeout(5000);
-            }
+        if (i < maxRetries - 1) {
+            logger.debug('No notebooks found yet, waiting 5 seconds...');
+            logger.info('Will wait 5 seconds to let the document load properly');
+            await page.waitForTimeout(5000);
         }
+    }
 
-        // Deduping
-        const uniqueNotebooks = [];
-        const seenIds = new Set();
-        for (const nb of notebooks) {
-            // Use ID for uniqueness if available, otherwise name
-            const uniqueKey = nb.id || nb.name;
-            if (!seenIds.has(uniqueKey)) {
-                seenIds.add(uniqueKey);
-                uniqueNotebooks.push(nb);
-            }
+    // Deduping
+    const uniqueNotebooks = [];
+    const seenIds = new Set();
+    for (const nb of notebooks) {
+        // Use ID for uniqueness if available, otherwise name
+        const uniqueKey = nb.id || nb.name;
+        if (!seenIds.has(uniqueKey)) {
+            seenIds.add(uniqueKey);
+            uniqueNotebooks.push(nb);
         }
+    }
+
+    return { notebooks: uniqueNotebooks, scrapeTarget };
+}
+
+async function listNotebooks(options = {}) {
+    logger.info('Connecting to OneNote...');
+
+    // Default to true (headless) unless --notheadless is passed
+    const headless = !options.notheadless;
+    logger.debug(`Launching browser (headless: ${headless})...`);
+
+    const browser = await chromium.launch({ headless });
+    try {
+        const context = await getAuthenticatedContext(browser);
+        const page = await context.newPage();
+
+        const { notebooks, scrapeTarget } = await loadNotebookList(page, options);
 
         if (options.keepOpen) {
-            return { notebooks: uniqueNotebooks, browser, page, scrapeTarget };
+            return { notebooks, browser, page, scrapeTarget };
         }
-        return uniqueNotebooks;
+        return notebooks;
 
     } catch (e) {
         logger.error('Error listing notebooks:', e);
@@ -335,6 +349,7 @@ async function openNotebookByLink(options = {}) {
 
 module.exports = {
     listNotebooks,
+    loadNotebookList,
     openNotebook,
     openNotebookByLink
 };
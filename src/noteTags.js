@@ -0,0 +1,99 @@
+/**
+ * OneNote note tags (To Do, Important, Question, ...) in Markdown.
+ *
+ * The scraper stores the tags of a paragraph as JSON in its data-note-tags
+ * attribute: [{ label, checkable, checked }], label being the accessible name
+ * of the tag icon. Check box tags become task items (- [ ] / - [x]); every
+ * tag except the plain "To Do" also becomes an Obsidian #tag, named after the
+ * label ("Remember for later" → #remember-for-later) unless the noteTags
+ * mapping says otherwise:
+ *
+ *   { "Important": "#priority/high", "Idea": false }
+ *
+ * A mapping value is the tag to write (the leading # is optional); false or
+ * '' drops the tag. Labels are matched case-insensitively.
+ */
+
+// OneNote tags drawn with a check box
+const CHECKBOX_TAGS = [
+    'to do', 'to do priority 1', 'to do priority 2',
+    'discuss with manager', 'discuss with person a', 'discuss with person b',
+    'call back', 'schedule meeting', 'client request'
+];
+
+// Words screen readers add to the tag name ("To Do tag, checked")
+const STATE_WORDS = /\b(note tag|tag|not completed|completed|unchecked|checked)\b/gi;
+
+/** Tag name without state words or punctuation: "To Do tag, checked" → "To Do". */
+function cleanTagLabel(label) {
+    return String(label || '')
+        .replace(STATE_WORDS, ' ')
+        .replace(/[,;:()]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/** "Remember for later" → "#remember-for-later" */
+function slugTag(name) {
+    const slug = name.toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}/_-]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug ? `#${slug}` : '';
+}
+
+/**
+ * Validates the noteTags option.
+ * @param {object} mapping - { label: tag | false }
+ * @returns {Map<string, string>} - lowercase label → tag ('' = dropped)
+ * @throws {Error} if the mapping is not an object of strings / false
+ */
+function resolveNoteTagMap(mapping) {
+    const map = new Map();
+    if (mapping === undefined || mapping === null) return map;
+    if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw new Error('noteTags must be an object mapping OneNote tag names to Obsidian tags');
+    }
+    for (const [label, tag] of Object.entries(mapping)) {
+        if (tag !== false && typeof tag !== 'string') {
+            throw new Error(`noteTags["${label}"] must be a tag name or false`);
+        }
+        const value = tag ? String(tag).trim() : '';
+        map.set(cleanTagLabel(label).toLowerCase(), value && !value.startsWith('#') ? `#${value}` : value);
+    }
+    return map;
+}
+
+/**
+ * Turns the tags of a paragraph into a task marker and #tags.
+ * @param {Array} tags - [{ label, checkable, checked }] from data-note-tags
+ * @param {Map<string, string>} tagMap - Result of resolveNoteTagMap()
+ * @returns {{ task: string|null, tags: string[] }} - task is '[ ]', '[x]' or null
+ */
+function noteTagMarkdown(tags, tagMap = new Map()) {
+    let task = null;
+    const names = [];
+    for (const tag of tags) {
+        const name = cleanTagLabel(tag.label);
+        const key = name.toLowerCase();
+        if (tag.checkable || CHECKBOX_TAGS.includes(key)) {
+            // One check box per paragraph; a checked tag wins
+            task = tag.checked || task === '[x]' ? '[x]' : '[ ]';
+        }
+        const mapped = tagMap.has(key) ? tagMap.get(key) : (key === 'to do' ? '' : slugTag(name));
+        if (mapped && !names.includes(mapped)) names.push(mapped);
+    }
+    return { task, tags: names };
+}
+
+/** Parses the data-note-tags attribute of an element ([] when absent or malformed). */
+function readNoteTags(node) {
+    try {
+        const tags = JSON.parse(node.getAttribute('data-note-tags') || '[]');
+        return Array.isArray(tags) ? tags : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+module.exports = { resolveNoteTagMap, noteTagMarkdown, readNoteTags, cleanTagLabel };
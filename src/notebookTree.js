@@ -0,0 +1,147 @@
+const { getSections, getPages, selectSection, navigateBack, isSectionLocked } = require('./scrapers');
+const readiness = require('./readiness');
+
+/**
+ * Builds the section/page tree of the opened notebook without exporting anything.
+ *
+ * Walks the navigation pane the same way the ExportEngine does (entering groups,
+ * selecting each section to list its pages) and leaves it back at the top level.
+ *
+ * @param {object} frame - Frame containing the OneNote navigation panes.
+ * @param {object} waits - Readiness upper bounds (see WAIT_TIMEOUTS in config.js).
+ * @param {object} options - { onLog: (level, message) => void }
+ * @returns {Promise<Array>} - Nodes { id, name, type: 'group', children } or
+ *                             { id, name, type: 'section', locked, pages: [{ id, name }] }.
+ */
+async function scanNotebookTree(frame, waits, { onLog = () => { } } = {}) {
+    const visited = new Set();
+
+    const scanLevel = async (parentId) => {
+        const nodes = [];
+        for (const item of await getSections(frame, parentId)) {
+            if (visited.has(item.id)) continue;
+            visited.add(item.id);
+
+            if (item.type === 'group') {
+                const sectionsBefore = await readiness.getSectionListSignature(frame);
+                await selectSection(frame, item.id);
+                await readiness.waitForGroupReady(frame, item.id, sectionsBefore, waits);
+                const children = await scanLevel(item.id);
+                const sectionsInside = await readiness.getSectionListSignature(frame);
+                if (await navigateBack(frame)) {
+                    await readiness.waitForSectionListChange(frame, sectionsInside, waits);
+                }
+                nodes.push({ id: item.id, name: item.name, type: 'group', children });
+                continue;
+            }
+
+            const pagesBefore = await readiness.getPageListSignature(frame).catch(() => '');
+            try {
+                await selectSection(frame, item.id);
+            } catch (e) {
+                onLog('warn', `Could not open section "${item.name}": ${e.message}`);
+                nodes.push({ id: item.id, name: item.name, type: 'section', locked: false, pages: [] });
+                continue;
+            }
+            await readiness.waitForSectionReady(frame, item.id, pagesBefore, waits);
+
+            const locked = await isSectionLocked(frame);
+            const pages = locked ? [] : await getPages(frame);
+            onLog('debug', `Scanned section "${item.name}" (${locked ? 'locked' : `${pages.length} pages`})`);
+            nodes.push({ id: item.id, name: item.name, type: 'section', locked, pages });
+        }
+        return nodes;
+    };
+
+    return scanLevel(null);
+}
+
+/**
+ * Turns the ids of the sections picked by the user into the set of items the
+ * traversal has to visit: the sections themselves plus every group above them.
+ * Ids of groups are expanded to all the sections they contain.
+ *
+ * @param {Array} tree - Result of scanNotebookTree().
+ * @param {string[]} ids - Picked section (or group) ids.
+ * @returns {Set<string>}
+ */
+function selectionFromIds(tree, ids) {
+    const picked = new Set(ids);
+    const selection = new Set();
+
+    const walk = (nodes, ancestors, inPickedGroup) => {
+        let any = false;
+        for (const node of nodes) {
+            const isPicked = inPickedGroup || picked.has(node.id);
+            if (node.type === 'group') {
+                if (walk(node.children, [...ancestors, node.id], isPicked)) {
+                    selection.add(node.id);
+                    any = true;
+                }
+            } else if (isPicked) {
+                selection.add(node.id);
+                ancestors.forEach(id => selection.add(id));
+                any = true;
+            }
+        }
+        return any;
+    };
+
+    walk(tree, [], false);
+    return selection;
+}
+
+/** Number of pages listed under a tree node (or a whole tree). */
+function countPages(nodes) {
+    return [].concat(nodes).reduce((sum, node) =>
+        sum + (node.type === 'group' ? countPages(node.children) : node.pages.length), 0);
+}
+
+/**
+ * Counts the groups, sections and pages of a tree.
+ * @returns {{ groups: number, sections: number, pages: number }}
+ */
+function summarizeTree(nodes) {
+    const totals = { groups: 0, sections: 0, pages: 0 };
+    const walk = (list) => list.forEach(node => {
+        if (node.type === 'group') {
+            totals.groups++;
+            walk(node.children);
+        } else {
+            totals.sections++;
+            totals.pages += node.pages.length;
+        }
+    });
+    walk(nodes);
+    return totals;
+}
+
+/**
+ * Renders a tree as indented text lines ("tree" command).
+ * @param {Array} nodes
+ * @param {object} options - { pages: also list page titles under each section }
+ * @returns {string[]}
+ */
+function formatTree(nodes, { pages = false } = {}) {
+    const lines = [];
+    const walk = (list, prefix) => list.forEach((node, i) => {
+        const last = i === list.length - 1;
+        const branch = prefix + (last ? '└── ' : '├── ');
+        const childPrefix = prefix + (last ? '    ' : '│   ');
+        if (node.type === 'group') {
+            lines.push(`${branch}📁 ${node.name} (${countPages(node)} pages)`);
+            walk(node.children, childPrefix);
+            return;
+        }
+        lines.push(`${branch}${node.name} (${node.locked ? 'locked' : `${node.pages.length} pages`})`);
+        if (pages) {
+            node.pages.forEach((page, j) => {
+                lines.push(`${childPrefix}${j === node.pages.length - 1 ? '└── ' : '├── '}${page.name}`);
+            });
+        }
+    });
+    walk(nodes, '');
+    return lines;
+}
+
+module.exports = { scanNotebookTree, selectionFromIds, countPages, summarizeTree, formatTree };
@@ -0,0 +1,55 @@
+/**
+ * OneNote page order and subpage structure within a section.
+ *
+ * getPages() lists pages in OneNote order with their indent level (1 = page,
+ * 2 = subpage, 3 = sub-subpage). These helpers turn that flat list into
+ * parent links and file names that keep the order when sorted by name.
+ */
+
+const SUBPAGE_MODES = ['flat', 'folders'];
+
+/**
+ * Adds parent information to the pages of a section.
+ * A page's parent is the closest preceding page with a lower level. Levels
+ * that jump by more than one (level 1 followed by level 3) are clamped so the
+ * page still hangs below the previous one.
+ *
+ * @param {Array} pages - [{ id, name, order, level }] as returned by getPages()
+ * @returns {Array} - Same pages plus { level, parentId, ancestors: [ids, root first] }
+ */
+function buildPageHierarchy(pages) {
+    const stack = []; // open ancestors, stack[i] = page at level i + 1
+    return pages.map(page => {
+        const requested = Math.max(1, parseInt(page.level, 10) || 1);
+        const level = Math.min(requested, stack.length + 1);
+        stack.length = level - 1;
+        const ancestors = stack.map(p => p.id);
+        const entry = { ...page, level, parentId: ancestors[ancestors.length - 1] || null, ancestors };
+        stack.push(entry);
+        return entry;
+    });
+}
+
+/**
+ * Zero-padded order prefix ("01 ", "002 ") so file names sort like OneNote.
+ * @param {number} order - 0-based position in the section
+ * @param {number} total - Number of pages in the section
+ */
+function orderPrefix(order, total) {
+    const width = Math.max(2, String(total).length);
+    return `${String(order + 1).padStart(width, '0')} `;
+}
+
+/**
+ * Validates the --subpages option.
+ * @returns {string} - 'flat' (default) or 'folders'
+ */
+function resolveSubpageMode(mode) {
+    if (mode === undefined || mode === null || mode === '') return 'flat';
+    if (!SUBPAGE_MODES.includes(mode)) {
+        throw new Error(`Unknown --subpages mode "${mode}". Use one of: ${SUBPAGE_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+module.exports = { buildPageHierarchy, orderPrefix, resolveSubpageMode, SUBPAGE_MODES };
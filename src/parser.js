@@ -1,11 +1,27 @@
 const TurndownService = require('turndown');
 const { gfm } = require('turndown-plugin-gfm');
+const { noteTagMarkdown, readNoteTags } = require('./noteTags');
+const { hasTextStyle, styleMarkdown } = require('./textStyles');
+const { mathmlToLatex, findMath } = require('./mathml');
+const { isTableJunk, localFileName, needsHtmlTable, tableToHtml } = require('./tables');
+const { guessLanguage, codeFence } = require('./codeBlocks');
+const { localImageName } = require('./imageFormats');
+const { assetPath } = require('./assetStore');
 
 /**
  * Creates a configured TurndownService instance with OneNote-specific rules
+ * @param {object} options - { noteTags: Map from resolveNoteTagMap(), styles: result of resolveStyleOptions(),
+ *                             onMathFallback: (equationId) => image file name in assets/, or null,
+ *                             tableStrategy: 'auto' | 'gfm' | 'html', guessCodeLanguage: boolean,
+ *                             onOutline: (layoutId, markdown) => void, for outlines with data-layout-id,
+ *                             getNoteFolder: () => vault-relative folder of the note being converted, for
+ *                             the links to shared assets in HTML tables }
  * @returns {TurndownService} Configured Turndown instance
  */
-function createMarkdownConverter() {
+function createMarkdownConverter(options = {}) {
+    const tagMap = options.noteTags || new Map();
+    const styles = options.styles || { level: 'obsidian', palette: new Map() };
+    const tableStrategy = options.tableStrategy || 'auto';
     const td = new TurndownService({
         headingStyle: 'atx',
         codeBlockStyle: 'fenced'
@@ -17,24 +33,14 @@ function createMarkdownConverter() {
         filter: (node) => node.nodeName === 'IMG' && node.getAttribute('data-local-src'),
         replacement: (content, node) => {
             const localId = node.getAttribute('data-local-src');
-            return `![[assets/${localId}.png]]`;
+            return `![[${assetPath(localImageName(localId))}]]`;
         }
     });
 
     // Rule for local file attachments (Obsidian style)
     td.addRule('localFiles', {
         filter: (node) => node.getAttribute('data-local-file'),
-        replacement: (content, node) => {
-            const localName = node.getAttribute('data-local-file');
-            // If localName already has a dot, use it directly (it's the full final name)
-            if (localName.includes('.')) {
-                return `[[assets/${localName}]]`;
-            }
-            // Otherwise try to append extension from filename attribute
-            const originalName = node.getAttribute('data-filename') || node.innerText.trim() || 'file';
-            const ext = originalName.includes('.') ? originalName.split('.').pop() : 'bin';
-            return `[[assets/${localName}.${ext}]]`;
-        }
+        replacement: (content, node) => `[[${assetPath(localFileName(node))}]]`
     });
 
     // Rule for internal cross-links
@@ -48,6 +54,12 @@ function createMarkdownConverter() {
         }
     });
 
+    // Rule for ink drawings saved as assets (data-local-ink holds the full file name)
+    td.addRule('localInk', {
+        filter: (node) => node.nodeName === 'IMG' && node.getAttribute('data-local-ink'),
+        replacement: (content, node) => `\n\n![[assets/${node.getAttribute('data-local-ink')}]]\n\n`
+    });
+
     // Rule for YouTube/Vimeo embeds
     td.addRule('embeds', {
         filter: (node) => node.nodeName === 'IFRAME' && node.getAttribute('data-embed-id'),
@@ -73,35 +85,158 @@ function createMarkdownConverter() {
         }
     });
 
+    // Rule for paragraphs in OneNote heading styles (data-heading-level, set by
+    // getPageContent() from the style name or font size)
+    const headingMarkdown = (content, node) => {
+        const level = Math.min(6, Math.max(1, parseInt(node.getAttribute('data-heading-level'), 10) || 1));
+        // A heading is a single line
+        const text = content.replace(/\s*\n+\s*/g, ' ').trim();
+        return text ? `\n\n${'#'.repeat(level)} ${text}\n\n` : '';
+    };
+    td.addRule('headings', {
+        filter: (node) => node.nodeName === 'P' && node.getAttribute('data-heading-level'),
+        replacement: headingMarkdown
+    });
+
+    // Rule for paragraphs inside list items: without the blank lines of a
+    // paragraph, so the list and its nested lists stay tight
+    td.addRule('listParagraphs', {
+        filter: (node) => node.nodeName === 'P' && node.parentNode && node.parentNode.nodeName === 'LI',
+        replacement: (content, node) => `\n${content.trim()}${node.nextSibling ? '\n' : ''}`
+    });
+
+    // Rules for note tags (see noteTags.js): check box tags become task items,
+    // the others #tags at the end of the paragraph. In <li><p> items, the tags of
+    // the paragraphs belong to the list item
+    const isListParagraph = (node) => node.nodeName === 'P' && node.parentNode && node.parentNode.nodeName === 'LI';
+    const itemTags = (node) => [
+        ...readNoteTags(node),
+        ...Array.from(node.childNodes).filter(isListParagraph).flatMap(readNoteTags)
+    ];
+    const withTags = (content, node) => {
+        const isItem = node.nodeName === 'LI';
+        const { task, tags } = noteTagMarkdown(isItem ? itemTags(node) : readNoteTags(node), tagMap);
+        // The tags of a list item follow its own text, not its nested lists
+        const [, first, rest] = isItem ? content.trim().match(/^([^\n]*)([\s\S]*)$/) : [null, content.trim(), ''];
+        const text = [first, ...tags].filter(Boolean).join(' ') + rest;
+        return { task, text };
+    };
+
+    td.addRule('noteTagListItems', {
+        filter: (node) => node.nodeName === 'LI' && itemTags(node).length > 0,
+        replacement: (content, node, turndownOptions) => {
+            const { task, text } = withTags(content, node);
+            // Same layout as Turndown's own listItem rule
+            let prefix = turndownOptions.bulletListMarker + '   ';
+            const parent = node.parentNode;
+            if (parent.nodeName === 'OL') {
+                const start = parent.getAttribute('start');
+                const index = Array.prototype.indexOf.call(parent.children, node);
+                prefix = (start ? Number(start) + index : index + 1) + '.  ';
+            }
+            const body = (task ? `${task} ${text}` : text).replace(/\n+$/, '\n').replace(/\n/gm, '\n    ');
+            return prefix + body + (node.nextSibling && !/\n$/.test(body) ? '\n' : '');
+        }
+    });
+
+    td.addRule('noteTags', {
+        filter: (node) => node.nodeName !== 'LI' && !isListParagraph(node) && node.getAttribute('data-note-tags'),
+        replacement: (content, node) => {
+            const { task, text } = withTags(content, node);
+            // Line breaks inside a task stay part of the item
+            if (task) return `\n- ${task} ${text.replace(/\n+/g, '\n  ')}\n`;
+            // This rule wins over the headings rule: a tagged heading stays a heading
+            return node.getAttribute('data-heading-level') ? headingMarkdown(text, node) : `\n\n${text}\n\n`;
+        }
+    });
+
+    const isStrikethrough = (node) => {
+        const classes = typeof node.className === 'string' ? node.className : '';
+        const style = node.getAttribute('style') || '';
+        return classes.includes('Strikethrough') || style.includes('text-decoration: line-through');
+    };
+
+    // Rules for code typed in a monospace font (see codeBlocks.js). The text is
+    // taken as is, without Markdown escaping
+    td.addRule('codeBlocks', {
+        filter: (node) => node.nodeName === 'PRE' && node.getAttribute('data-code-block'),
+        replacement: (content, node) => {
+            const code = node.textContent.replace(/\n+$/, '');
+            const fence = codeFence(code);
+            const language = options.guessCodeLanguage ? guessLanguage(code) : '';
+            return `\n\n${fence}${language}\n${code}\n${fence}\n\n`;
+        }
+    });
+
+    const isInlineCode = (node) => node.nodeName === 'SPAN' && node.getAttribute('data-monospace');
+    const inlineCodeMarkdown = (node) => {
+        // Surrounding spaces are added back by Turndown (flanking whitespace)
+        const code = node.textContent.replace(/\u00a0/g, ' ').trim();
+        if (!code) return '';
+        const fence = codeFence(code, 1);
+        // A space keeps a fence from touching a backtick of the code
+        const pad = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+        return `${fence}${pad}${code}${pad}${fence}`;
+    };
+    td.addRule('inlineCode', {
+        filter: isInlineCode,
+        replacement: (content, node) => inlineCodeMarkdown(node)
+    });
+    // The strikethrough and textStyles rules below take precedence: code they
+    // style stays code, inside the markers (==`code`==)
+    const styledContent = (content, node) => (isInlineCode(node) ? inlineCodeMarkdown(node) : content);
+
+    // Rule for equations: MathML becomes $inline$ or $$block$$ LaTeX. Equations
+    // that cannot be converted are embedded as an image when the exporter
+    // provides one (onMathFallback), else kept as plain text
+    td.addRule('equations', {
+        filter: (node) => node.nodeName.toLowerCase() === 'math' || node.getAttribute('data-equation-id'),
+        replacement: (content, node) => {
+            const math = findMath(node);
+            const latex = math ? mathmlToLatex(math) : null;
+            const block = node.getAttribute('data-equation-display') === 'block' ||
+                (math !== null && math.getAttribute('display') === 'block');
+            if (latex) return block ? `\n\n$$\n${latex}\n$$\n\n` : `$${latex}$`;
+
+            const equationId = node.getAttribute('data-equation-id');
+            const image = equationId && options.onMathFallback ? options.onMathFallback(equationId) : null;
+            if (image) return block ? `\n\n![[assets/${image}]]\n\n` : `![[assets/${image}]]`;
+            return content;
+        }
+    });
+
     // Rule for Strikethrough (OneNote specific)
     td.addRule('strikethrough', {
-        filter: (node) => {
-            const classes = typeof node.className === 'string' ? node.className : '';
-            const style = node.getAttribute('style') || '';
-            return classes.includes('Strikethrough') || style.includes('text-decoration: line-through');
-        },
-        replacement: (content) => `~~${content}~~`
+        filter: isStrikethrough,
+        replacement: (content, node) => `~~${styledContent(content, node)}~~`
+    });
+
+    // Rule for highlighted / coloured text runs (see textStyles.js); added after
+    // strikethrough so it takes precedence and can combine both
+    td.addRule('textStyles', {
+        filter: (node) => ['SPAN', 'MARK', 'FONT'].includes(node.nodeName) && hasTextStyle(node, styles),
+        replacement: (content, node) => {
+            const styled = styleMarkdown(styledContent(content, node), node, styles);
+            return isStrikethrough(node) ? `~~${styled}~~` : styled;
+        }
     });
 
     // Rule to ignore OneNote table junk (resize handles, hover UI, etc.)
+    // ('RelativeElementContainer' and role="presentation" wrap images, so they are kept)
     td.addRule('ignoreTableJunk', {
-        filter: (node) => {
-            const classes = node.className || '';
-            // REMOVED 'RelativeElementContainer' as it often wraps images we want to keep
-            // REMOVED 'role="presentation"' as it is used for image containers
-            return classes.includes('TableHover') ||
-                classes.includes('TableInsertRowGap') ||
-                classes.includes('TableColumnHandle') ||
-                classes.includes('TableColumnWidthSpacer') ||
-                classes.includes('TableColumnResizeHandle');
-        },
+        filter: isTableJunk,
         replacement: () => ''
     });
 
     // Rule for OutlineContainer to ensure block separation
     td.addRule('outlines', {
         filter: (node) => typeof node.className === 'string' && node.className.includes('OutlineContainer'),
-        replacement: (content) => `\n\n${content}\n\n`
+        replacement: (content, node) => {
+            // Outlines placed on a canvas (see canvas.js) also get their own Markdown
+            const layoutId = node.getAttribute('data-layout-id');
+            if (layoutId && options.onOutline) options.onOutline(layoutId, content.trim());
+            return `\n\n${content}\n\n`;
+        }
     });
 
     // Ensure table cells are treated as such even with weird roles
@@ -129,10 +264,19 @@ function createMarkdownConverter() {
         }
     });
 
-    // Custom table rule to just wrap the content
+    // Custom table rule to just wrap the content, or to write the table as HTML
+    // when a pipe table cannot represent it (see tables.js)
     td.addRule('table', {
         filter: 'table',
-        replacement: function (content) {
+        replacement: function (content, node) {
+            if (tableStrategy === 'html' || (tableStrategy === 'auto' && needsHtmlTable(node))) {
+                return '\n\n' + tableToHtml(node, {
+                    styles,
+                    noteTags: tagMap,
+                    onMathFallback: options.onMathFallback,
+                    getNoteFolder: options.getNoteFolder
+                }) + '\n\n';
+            }
             return '\n\n' + content + '\n\n';
         }
     });
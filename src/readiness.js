@@ -0,0 +1,197 @@
+/**
+ * DOM readiness detection for the notebook traversal.
+ *
+ * Every wait polls a cheap DOM "signature" from Node and resolves as soon as the
+ * expected change has happened and the signature stopped moving for `quiet` ms.
+ * Waits never throw: they resolve to false once their upper bound is reached,
+ * and the caller scrapes anyway (as it did after the old fixed sleeps).
+ */
+
+const POLL_INTERVAL_MS = 100;
+
+// Selectors shared with scrapers.js
+const SECTION_ITEM_SELECTOR = 'div[class*="sectionListItem"], div[class*="sectionGroup__groupItemWrap"]';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Polls read() until isReady(value) holds and the value stayed identical for `quiet` ms.
+ * @param {Function} read - async () => string signature
+ * @param {Function} isReady - (signature, elapsedMs) => boolean
+ * @param {object} options - { timeout, quiet, interval }
+ * @returns {Promise<boolean>} - true when ready, false on timeout
+ */
+async function pollUntilStable(read, isReady, { timeout, quiet = 500, interval = POLL_INTERVAL_MS }) {
+    const start = Date.now();
+    let last = null;
+    let stableSince = null;
+
+    while (Date.now() - start <= timeout) {
+        let value;
+        try {
+            value = await read();
+        } catch (e) {
+            // Frame navigating or detached for a moment: keep polling
+            value = null;
+        }
+
+        // stableSince = when the current value was first observed
+        if (value === null || value !== last) {
+            stableSince = Date.now();
+        }
+        last = value;
+
+        if (value !== null && isReady(value, Date.now() - start) &&
+            Date.now() - stableSince >= quiet) {
+            return true;
+        }
+        await sleep(interval);
+    }
+    return false;
+}
+
+/** IDs of the page nodes currently listed, in order. */
+async function getPageListSignature(frame) {
+    return frame.evaluate(() =>
+        Array.from(document.querySelectorAll('.pageNode')).map(n => n.id).join('|'));
+}
+
+/** IDs of the visible sections / section groups of the navigation pane. */
+async function getSectionListSignature(frame) {
+    return frame.evaluate((selector) =>
+        Array.from(document.querySelectorAll(selector))
+            .filter(n => n.offsetWidth > 0 || n.offsetHeight > 0)
+            .map(n => n.id)
+            .join('|'), SECTION_ITEM_SELECTOR);
+}
+
+/** Outline count, text length and image count of the page canvas. */
+async function getCanvasSignature(frame) {
+    return frame.evaluate(() => {
+        const canvas = document.querySelector('#OreoCanvas') || document.querySelector('.canvasContainer');
+        if (!canvas) return '';
+        const outlines = canvas.querySelectorAll('.OutlineContainer');
+        const title = canvas.querySelector('.TitleOutline');
+        return [
+            outlines.length,
+            canvas.innerText.length,
+            canvas.querySelectorAll('img').length,
+            title ? title.innerText.trim() : ''
+        ].join(':');
+    });
+}
+
+async function isNodeSelected(frame, id) {
+    return frame.evaluate((nodeId) => {
+        const node = document.getElementById(nodeId);
+        if (!node) return false;
+        const isSelected = (el) => el.getAttribute('aria-selected') === 'true' || el.getAttribute('aria-current') === 'true';
+        return isSelected(node) || !!node.querySelector('[aria-selected="true"], [aria-current="true"]');
+    }, id);
+}
+
+async function isNodeExpanded(frame, id) {
+    return frame.evaluate((nodeId) => {
+        const node = document.getElementById(nodeId);
+        if (!node) return false;
+        return node.getAttribute('aria-expanded') === 'true' || !!node.querySelector('[aria-expanded="true"]');
+    }, id);
+}
+
+/**
+ * Waits for the page list to show the pages of a freshly selected section.
+ * Ready when the list differs from `previousPages` and has settled. If the list
+ * stays identical (empty section after an empty section) we accept it once the
+ * section node is selected and `sameListGrace` ms have passed.
+ *
+ * @param {object} frame
+ * @param {string} sectionId
+ * @param {string} previousPages - getPageListSignature() taken before the click
+ * @param {object} waits - { section, quiet, sameListGrace }
+ */
+async function waitForSectionReady(frame, sectionId, previousPages, waits) {
+    let selected = false;
+    return pollUntilStable(
+        async () => {
+            if (!selected) selected = await isNodeSelected(frame, sectionId);
+            return getPageListSignature(frame);
+        },
+        (pages, elapsed) => pages !== previousPages || (selected && elapsed >= (waits.sameListGrace || 2000)),
+        { timeout: waits.section, quiet: waits.quiet }
+    );
+}
+
+/**
+ * Waits for a section group to expand after it was clicked: its children are
+ * listed (or it is flagged aria-expanded for an empty group) and settled.
+ */
+async function waitForGroupReady(frame, groupId, previousSections, waits) {
+    return pollUntilStable(
+        async () => {
+            const expanded = await isNodeExpanded(frame, groupId);
+            return `${expanded}#${await getSectionListSignature(frame)}`;
+        },
+        (value) => value.startsWith('true#') || value.slice(value.indexOf('#') + 1) !== previousSections,
+        { timeout: waits.group, quiet: waits.quiet }
+    );
+}
+
+/** Waits for the section list to change back after leaving a group. */
+async function waitForSectionListChange(frame, previousSections, waits) {
+    return pollUntilStable(
+        () => getSectionListSignature(frame),
+        (sections) => sections !== previousSections,
+        { timeout: waits.group, quiet: waits.quiet }
+    );
+}
+
+/**
+ * Waits for a selected page to be rendered: its node gets aria-selected and the
+ * #OreoCanvas outlines stop changing. As for sections, an unchanged canvas is
+ * accepted after `sameListGrace` ms (two pages with identical content).
+ *
+ * @param {string} previousCanvas - getCanvasSignature() taken before the click
+ */
+async function waitForPageReady(frame, pageId, previousCanvas, waits) {
+    let selected = false;
+    return pollUntilStable(
+        async () => {
+            if (!selected) selected = await isNodeSelected(frame, pageId);
+            return getCanvasSignature(frame);
+        },
+        (canvas, elapsed) => selected && canvas !== '' &&
+            (canvas !== previousCanvas || elapsed >= (waits.sameListGrace || 2000)),
+        { timeout: waits.page, quiet: waits.quiet }
+    );
+}
+
+/**
+ * Polls every frame of the page until one hosts the OneNote navigation (.sectionList).
+ * @returns {Promise<object|null>} - The frame, or null after `waits.frame` ms.
+ */
+async function waitForContentFrame(page, waits) {
+    const start = Date.now();
+    while (Date.now() - start <= waits.frame) {
+        for (const f of page.frames()) {
+            try {
+                if (await f.$('.sectionList')) return f;
+            } catch (e) {
+                // Ignore frames we can't access (CORS) or that are navigating
+            }
+        }
+        await sleep(POLL_INTERVAL_MS * 5);
+    }
+    return null;
+}
+
+module.exports = {
+    pollUntilStable,
+    getPageListSignature,
+    getSectionListSignature,
+    getCanvasSignature,
+    waitForSectionReady,
+    waitForGroupReady,
+    waitForSectionListChange,
+    waitForPageReady,
+    waitForContentFrame
+};
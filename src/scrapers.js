@@ -109,9 +109,10 @@ async function getSections(frame, parentId = null) {
 }
 
 /**
- * Scrapes the list of pages from the current section view.
+ * Scrapes the list of pages from the current section view, in OneNote order.
  * @param {object} frame - The Playwright frame object.
- * @returns {Promise<Array>} - List of pages { id, name }.
+ * @returns {Promise<Array>} - List of pages { id, name, order, level }; order is the
+ *                             0-based position, level 1 for pages, 2+ for subpages.
  */
 async function getPages(frame) {
     // Selector based on debug dump
@@ -121,7 +122,24 @@ async function getPages(frame) {
     // dump: <div class="pageNode" id="{UUID}{1}"> ... <div class="pageListItem"> ... aria-label="Untitled Page, Page..."
 
     const pages = await frame.$$eval('.pageNode', nodes => {
-        return nodes.map(node => {
+        // Subpage indentation: aria-level of the tree item, else a "level"
+        // class, else the left padding relative to the first page
+        const indentOf = (node) => {
+            const item = node.querySelector('.pageListItem') || node;
+            return parseFloat(window.getComputedStyle(item).paddingLeft) || 0;
+        };
+        const baseIndent = nodes.length ? Math.min(...nodes.map(indentOf)) : 0;
+        const levelOf = (node) => {
+            const ariaNode = node.hasAttribute('aria-level') ? node : node.querySelector('[aria-level]');
+            const ariaLevel = ariaNode ? parseInt(ariaNode.getAttribute('aria-level'), 10) : NaN;
+            if (ariaLevel > 0) return ariaLevel;
+            const classMatch = (node.className + ' ' + (node.querySelector('.pageListItem')?.className || '')).match(/level[-_]?(\d)/i);
+            if (classMatch) return parseInt(classMatch[1], 10);
+            // OneNote Web indents subpages by roughly 20px per level
+            return 1 + Math.max(0, Math.round((indentOf(node) - baseIndent) / 20));
+        };
+
+        return nodes.map((node, order) => {
             const id = node.id;
             const listItem = node.querySelector('.pageListItem');
             let name = 'Untitled Page';
@@ -143,7 +161,7 @@ async function getPages(frame) {
                     if (!name) name = 'Untitled Page';
                 }
             }
-            return { id, name };
+            return { id, name, order, level: levelOf(node) };
         });
 
     });
@@ -182,18 +200,116 @@ async function selectSection(frame, sectionId) {
     });
 }
 
+/**
+ * Markup of the currently selected page, much cheaper to read than
+ * getPageContent(). Inline data: URLs are replaced by their SHA-256 so large
+ * pictures are not sent back. Used to skip pages that did not change since the
+ * last export (see hashPageMarkup in manifest.js).
+ * @param {object} frame - The Playwright frame object.
+ * @returns {Promise<string|null>} - null when the page draws on <canvas> elements,
+ *                                   whose strokes the markup does not show.
+ */
+async function getPageMarkup(frame) {
+    return await frame.evaluate(async () => {
+        const canvas = document.querySelector('#OreoCanvas') ||
+            document.querySelector('.canvasContainer') ||
+            document.body;
+        if (canvas.querySelector('canvas')) return null;
+
+        const html = canvas.innerHTML;
+        const dataUrls = [...new Set(html.match(/data:[^"'\s)]+/g) || [])];
+        const digests = new Map();
+        for (const url of dataUrls) {
+            const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(url));
+            digests.set(url, 'data:' + Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join(''));
+        }
+        return html.replace(/data:[^"'\s)]+/g, url => digests.get(url));
+    });
+}
+
 /**
  * Scrapes the content of the currently selected page.
  * @param {object} frame - The Playwright frame object.
- * @returns {Promise<object>} - { title, contentHtml }.
+ * @param {object} options - { layout: also return the position of the blocks on the page (see canvas.js) }
+ * @returns {Promise<object>} - { title, dateTime, locale, contentHtml, images, attachments, internalLinks, videos, embeds, inks, layout? }.
  */
-async function getPageContent(frame) {
-    return await frame.evaluate(() => {
+async function getPageContent(frame, options = {}) {
+    return await frame.evaluate(({ withLayout }) => {
         // Find the main canvas/content area
         const canvas = document.querySelector('#OreoCanvas') ||
             document.querySelector('.canvasContainer') ||
             document.body;
 
+        // Equations: marked on the live page (the clones below inherit the mark) so
+        // the exporter can screenshot those that cannot be converted to LaTeX
+        const equationNodes = [];
+        canvas.querySelectorAll('math, [class*="Equation"]').forEach(el => {
+            const node = el.closest('[class*="Equation"]') || el;
+            if (!equationNodes.includes(node)) equationNodes.push(node);
+        });
+        equationNodes
+            .filter(node => !equationNodes.some(other => other !== node && other.contains(node)))
+            .forEach((node, i) => {
+                const math = node.matches('math') ? node : node.querySelector('math');
+                const paragraph = node.closest('p, li, .OutlineElement');
+                const alone = paragraph && paragraph.textContent.trim() === node.textContent.trim();
+                node.setAttribute('data-equation-id', `eq_${i}`);
+                node.setAttribute('data-equation-display',
+                    (math && math.getAttribute('display') === 'block') || alone ? 'block' : 'inline');
+            });
+
+        // Icons handled by the note tag, attachment and video steps below
+        const noteTagIcons = '[class*="NoteTag"], [role="checkbox"]';
+        const fileAndVideoIcons = '[class*="attachment" i], [class*="wacef" i], [class*="fileicon" i], [class*="cloudfile" i], ' +
+            '[class*="hyperlinkv2" i], video, iframe, [class*="video" i]';
+
+        // Ink (pen drawings, handwriting): SVG or canvas strokes, in outlines or drawn
+        // straight on the page. Marked on the live page like equations
+        const inkCandidates = Array.from(canvas.querySelectorAll('[class*="Ink"], svg, canvas'))
+            .map(el => el.closest('[class*="Ink"]') || el)
+            .filter((el, i, all) => all.indexOf(el) === i)
+            .filter(el => el.matches('svg, canvas') || el.querySelector('svg, canvas'))
+            .filter(el => !el.closest('[data-equation-id], button, [role="button"], [role="toolbar"], [role="navigation"]'))
+            .filter(el => !el.closest(`${noteTagIcons}, ${fileAndVideoIcons}`))
+            .filter(el => {
+                // Icons are small; a bare <svg> also needs strokes to count as ink
+                const rect = el.getBoundingClientRect();
+                const isInkContainer = /Ink/.test(typeof el.className === 'string' ? el.className : '');
+                return rect.width >= 16 && rect.height >= 16 &&
+                    (isInkContainer || el.matches('canvas') || el.querySelector('path, polyline'));
+            });
+        const inkInfos = inkCandidates
+            .filter(el => !inkCandidates.some(other => other !== el && other.contains(el)))
+            .map((el, i) => {
+                const id = `ink_${i}`;
+                el.setAttribute('data-ink-id', id);
+                const rect = el.getBoundingClientRect();
+                const info = { id, width: Math.round(rect.width), height: Math.round(rect.height), top: rect.top };
+
+                const svgs = el.matches('svg') ? [el] : Array.from(el.querySelectorAll('svg'));
+                const canvases = el.matches('canvas') ? [el] : Array.from(el.querySelectorAll('canvas'));
+                if (svgs.length === 1 && canvases.length === 0) {
+                    // Stroke colours and widths often come from CSS: inline them
+                    const copy = svgs[0].cloneNode(true);
+                    const originals = svgs[0].querySelectorAll('path, polyline, line, ellipse, circle, rect, polygon');
+                    const copies = copy.querySelectorAll('path, polyline, line, ellipse, circle, rect, polygon');
+                    originals.forEach((shape, j) => {
+                        const computed = window.getComputedStyle(shape);
+                        ['stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'fill', 'opacity'].forEach(prop => {
+                            if (!copies[j].getAttribute(prop)) copies[j].setAttribute(prop, computed.getPropertyValue(prop));
+                        });
+                    });
+                    info.svg = new XMLSerializer().serializeToString(copy);
+                } else if (canvases.length === 1 && svgs.length === 0) {
+                    try {
+                        info.dataUrl = canvases[0].toDataURL('image/png');
+                    } catch (e) {
+                        // Tainted canvas: the exporter takes a screenshot instead
+                    }
+                }
+                return info;
+            });
+
         // OneNote stores content in "Outlines"
         const outlines = Array.from(canvas.querySelectorAll('.OutlineContainer'));
 
@@ -210,11 +326,75 @@ async function getPageContent(frame) {
             return rectA.left - rectB.left;
         });
 
+        const textParents = (el) => {
+            const parents = [];
+            const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+            while (walker.nextNode()) {
+                if (walker.currentNode.textContent.trim()) parents.push(walker.currentNode.parentElement);
+            }
+            return parents;
+        };
+
+        // Headings: OneNote's Heading 1-6 styles are often plain paragraphs in a
+        // larger or bold font. Sizes are compared with the body text size, the
+        // most common size of the page text
+        const sizeWeights = new Map();
+        canvas.querySelectorAll('.OutlineContainer p').forEach(p => {
+            if (p.closest('.TitleOutline, .TitleDateTimeOutline')) return;
+            textParents(p).forEach(el => {
+                const size = parseFloat(window.getComputedStyle(el).fontSize);
+                if (size) sizeWeights.set(size, (sizeWeights.get(size) || 0) + el.textContent.trim().length);
+            });
+        });
+        const bodySize = Array.from(sizeWeights.entries()).sort((a, b) => b[1] - a[1]).map(([size]) => size)[0];
+        const headingLevel = (paragraph, parents) => {
+            const styleName = [paragraph.getAttribute('data-ccp-parastyle'), paragraph.className, paragraph.parentElement && paragraph.parentElement.className]
+                .filter(name => typeof name === 'string').join(' ');
+            const named = styleName.match(/heading\s*([1-6])/i);
+            if (named) return Number(named[1]);
+            if (paragraph.getAttribute('role') === 'heading') return Math.min(6, parseInt(paragraph.getAttribute('aria-level'), 10) || 1);
+
+            // Font size heuristic: one short paragraph in a single size, outside lists and tables
+            if (!bodySize || paragraph.closest('li, td, th') || paragraph.textContent.trim().length > 200) return 0;
+            const styles = parents.map(el => window.getComputedStyle(el));
+            const size = parseFloat(styles[0].fontSize);
+            if (styles.some(style => parseFloat(style.fontSize) !== size)) return 0;
+            const bold = styles.every(style => parseInt(style.fontWeight, 10) >= 600);
+            const ratio = size / bodySize;
+            if (ratio >= 1.4) return 1;
+            if (ratio >= 1.2) return 2;
+            if (ratio >= 1.05 && bold) return 3;
+            return 0;
+        };
+
+        // Drops the outline elements a move or merge left empty
+        const removeEmpty = (parent, root) => {
+            while (parent && parent !== root && !parent.textContent.trim() &&
+                !parent.querySelector('img, iframe, video, table, math, svg, canvas, pre')) {
+                const next = parent.parentElement;
+                parent.remove();
+                parent = next;
+            }
+        };
+
         let title = '';
         let dateTime = '';
 
         // Prepare a clone for cleanup to avoid affecting the UI
         const contentDiv = document.createElement('div');
+        const placedOutlines = [];
+        // Blocks and their position on the page, for the canvas export
+        const layout = [];
+        const canvasRect = canvas.getBoundingClientRect();
+        const pagePosition = (el) => {
+            const rect = el.getBoundingClientRect();
+            return {
+                x: Math.round(rect.left - canvasRect.left + canvas.scrollLeft),
+                y: Math.round(rect.top - canvasRect.top + canvas.scrollTop),
+                width: Math.round(rect.width),
+                height: Math.round(rect.height)
+            };
+        };
 
         outlines.forEach(outline => {
             const clone = outline.cloneNode(true);
@@ -233,6 +413,123 @@ async function getPageContent(frame) {
                 return; // Don't add to main content body
             }
 
+            // Copy highlight and font colours applied through CSS classes onto the
+            // clone's inline style, where the Markdown converter reads them
+            const outlineStyle = window.getComputedStyle(outline);
+            const originalRuns = outline.querySelectorAll('span');
+            const clonedRuns = clone.querySelectorAll('span');
+            originalRuns.forEach((run, i) => {
+                const copy = clonedRuns[i];
+                if (!copy) return;
+                const computed = window.getComputedStyle(run);
+                const parentStyle = run.parentElement ? window.getComputedStyle(run.parentElement) : outlineStyle;
+                if (!copy.style.backgroundColor && computed.backgroundColor !== parentStyle.backgroundColor &&
+                    !/rgba\(0, 0, 0, 0\)|transparent/.test(computed.backgroundColor)) {
+                    copy.style.backgroundColor = computed.backgroundColor;
+                }
+                if (!copy.style.color && computed.color !== outlineStyle.color && computed.color !== parentStyle.color) {
+                    copy.style.color = computed.color;
+                }
+            });
+
+            // Code: runs of paragraphs set in a monospace font become one
+            // <pre data-code-block>, monospace words inside a paragraph inline code
+            const isMonospace = (el) => /consolas|courier|monaco|menlo|lucida console|cascadia|fira code|source code|dejavu sans mono|ubuntu mono|roboto mono|monospace/i
+                .test(window.getComputedStyle(el).fontFamily);
+            const originalParagraphs = Array.from(outline.querySelectorAll('p'));
+            const clonedParagraphs = Array.from(clone.querySelectorAll('p'));
+            const codeRuns = [];
+            let run = null;
+            originalParagraphs.forEach((paragraph, i) => {
+                const copy = clonedParagraphs[i];
+                const parents = textParents(paragraph);
+                if (copy && parents.length > 0 && parents.every(isMonospace)) {
+                    // Tab indentation is nesting of outline elements
+                    let depth = 0;
+                    for (let el = paragraph.parentElement?.closest('.OutlineElement'); el && outline.contains(el); el = el.parentElement?.closest('.OutlineElement')) depth++;
+                    const line = '    '.repeat(Math.max(0, depth - 1)) + paragraph.textContent.replace(/\u00a0/g, ' ').replace(/\s+$/, '');
+                    if (!run) codeRuns.push(run = { paragraphs: [], lines: [] });
+                    run.paragraphs.push(copy);
+                    run.lines.push(line);
+                    return;
+                }
+                run = null;
+                if (!copy || parents.length === 0) return;
+                const level = headingLevel(paragraph, parents);
+                if (level) copy.setAttribute('data-heading-level', String(level));
+                const clonedSpans = Array.from(copy.querySelectorAll('span'));
+                Array.from(paragraph.querySelectorAll('span')).forEach((span, j) => {
+                    if (clonedSpans[j] && isMonospace(span) && !isMonospace(span.parentElement) && span.textContent.trim()) {
+                        clonedSpans[j].setAttribute('data-monospace', 'true');
+                    }
+                });
+            });
+            codeRuns.forEach(({ paragraphs, lines }) => {
+                const pre = document.createElement('pre');
+                pre.setAttribute('data-code-block', 'true');
+                const code = document.createElement('code');
+                // Common indentation of the run is not part of the code
+                const margin = Math.min(...lines.filter(l => l.trim()).map(l => l.match(/^ */)[0].length));
+                code.textContent = lines.map(l => l.slice(margin)).join('\n');
+                pre.appendChild(code);
+                paragraphs[0].replaceWith(pre);
+                paragraphs.slice(1).forEach(p => {
+                    const parent = p.parentElement;
+                    p.remove();
+                    removeEmpty(parent, clone);
+                });
+            });
+
+            // Lists: nesting comes from indented outline elements, often with one
+            // <ul>/<ol> per item. Consecutive items are rebuilt as one nested list
+            const outlineDepth = (el) => {
+                let depth = 0;
+                for (let e = el.parentElement?.closest('.OutlineElement'); e; e = e.parentElement?.closest('.OutlineElement')) depth++;
+                return depth;
+            };
+            const listRuns = [];
+            let items = null;
+            clone.querySelectorAll('li, p, pre, table, img').forEach(el => {
+                if (el.parentElement.closest('li, table')) return;
+                if (el.matches('li')) {
+                    if (!el.parentElement.matches('ul, ol')) return;
+                    if (!items) listRuns.push(items = []);
+                    items.push({ li: el, depth: outlineDepth(el), type: el.parentElement.nodeName.toLowerCase() });
+                } else if (el.textContent.trim() || !el.matches('p')) {
+                    items = null;
+                }
+            });
+            listRuns.forEach(runItems => {
+                const lists = new Set(runItems.map(item => item.li.parentElement));
+                if (lists.size === 1 && runItems.every(item => item.depth === runItems[0].depth)) return;
+
+                const firstList = runItems[0].li.parentElement;
+                const root = document.createElement(runItems[0].type);
+                if (firstList.getAttribute('start')) root.setAttribute('start', firstList.getAttribute('start'));
+                firstList.parentNode.insertBefore(root, firstList);
+
+                const base = Math.min(...runItems.map(item => item.depth));
+                const stack = [root];
+                runItems.forEach(({ li, depth, type }) => {
+                    const oldList = li.parentElement;
+                    const level = depth - base;
+                    while (stack.length - 1 > level) stack.pop();
+                    while (stack.length - 1 < level) {
+                        const parentList = stack[stack.length - 1];
+                        const parentItem = parentList.lastElementChild || parentList.appendChild(document.createElement('li'));
+                        stack.push(parentItem.appendChild(document.createElement(type)));
+                    }
+                    // A bullet item after a numbered one (or the reverse) starts a new list
+                    if (stack[stack.length - 1].nodeName.toLowerCase() !== type && stack[stack.length - 1].children.length > 0) {
+                        const list = document.createElement(type);
+                        stack[stack.length - 1].after(list);
+                        stack[stack.length - 1] = list;
+                    }
+                    stack[stack.length - 1].appendChild(li);
+                    if (oldList !== root && !stack.includes(oldList)) removeEmpty(oldList, clone);
+                });
+            });
+
             // Remove UI elements that shouldn't be in Markdown
             const toRemove = clone.querySelectorAll([
                 '.DragHandle',
@@ -247,6 +544,12 @@ async function getPageContent(frame) {
             toRemove.forEach(el => el.remove());
 
             contentDiv.appendChild(clone);
+            placedOutlines.push({ clone, top: outline.getBoundingClientRect().top });
+            if (withLayout) {
+                const id = `block_${layout.length}`;
+                clone.setAttribute('data-layout-id', id);
+                layout.push({ id, type: 'outline', ...pagePosition(outline) });
+            }
         });
 
         // Fallback for Title if not found in outlines
@@ -273,6 +576,39 @@ async function getPageContent(frame) {
         const videoInfos = [];
         const embedInfos = [];
 
+        // 0. Note tags (To Do, Important, Question...): the icons are replaced by a
+        // data-note-tags attribute on their paragraph, read by the Markdown converter
+        const tagIcons = Array.from(contentDiv.querySelectorAll(noteTagIcons))
+            .filter(el => !el.parentElement || !el.parentElement.closest(noteTagIcons));
+        tagIcons.forEach(icon => {
+            const labelled = [icon, ...icon.querySelectorAll('[aria-label], [title], img[alt]')];
+            const label = labelled
+                .map(el => el.getAttribute('aria-label') || el.getAttribute('title') || el.getAttribute('alt') || '')
+                .find(text => text.trim()) || '';
+            const box = icon.matches('[role="checkbox"], [aria-checked]') ? icon : icon.querySelector('[role="checkbox"], [aria-checked]');
+            const classes = [icon, ...icon.querySelectorAll('*')]
+                .map(el => (typeof el.className === 'string' ? el.className : '')).join(' ');
+            const stateText = `${classes} ${label}`;
+            const checked = (box && box.getAttribute('aria-checked') === 'true') ||
+                (/checked|completed/i.test(stateText) && !/unchecked|not completed/i.test(stateText));
+
+            const outlineElement = icon.closest('.OutlineElement');
+            let paragraph = icon.closest('li, p') ||
+                (outlineElement && outlineElement.querySelector('li, p')) ||
+                icon.parentElement;
+            // List items are <li><p>: the tag belongs to the item, so it becomes a task item
+            if (paragraph && paragraph.tagName === 'P' && paragraph.parentElement && paragraph.parentElement.tagName === 'LI') {
+                paragraph = paragraph.parentElement;
+            }
+            icon.remove();
+            if (!label.trim() || !paragraph) return;
+
+            let tags = [];
+            try { tags = JSON.parse(paragraph.getAttribute('data-note-tags') || '[]'); } catch (e) { tags = []; }
+            tags.push({ label: label.trim(), checkable: !!box, checked });
+            paragraph.setAttribute('data-note-tags', JSON.stringify(tags));
+        });
+
         // 1. Extract YouTube/Vimeo/Embeds
         const allIframes = Array.from(contentDiv.querySelectorAll('iframe'));
         allIframes.forEach(iframe => {
@@ -520,6 +856,7 @@ async function getPageContent(frame) {
                         if (matchingClone) {
                             matchingClone.setAttribute('data-local-src', id);
                             if (isPrintout) matchingClone.setAttribute('data-is-printout', 'true');
+                            if (withLayout) layout.push({ id, type: 'image', ...pagePosition(origImg) });
 
                             let alt = matchingClone.getAttribute('alt') || '';
                             if (alt.includes('\n') || alt.includes('ACCESSIBILITY') || alt.length > 300) {
@@ -537,17 +874,40 @@ async function getPageContent(frame) {
             if (!img.hasAttribute('data-local-src')) img.remove();
         });
 
+        // 5. Ink placeholders: in place inside outlines, else before the first
+        // outline below the drawing
+        inkInfos.forEach(info => {
+            const placeholder = document.createElement('img');
+            placeholder.setAttribute('data-local-ink', info.id);
+            const inPlace = contentDiv.querySelector(`[data-ink-id="${info.id}"]`);
+            if (inPlace) {
+                inPlace.replaceWith(placeholder);
+                return;
+            }
+            const below = placedOutlines.find(placed => placed.top > info.top);
+            if (below) contentDiv.insertBefore(placeholder, below.clone);
+            else contentDiv.appendChild(placeholder);
+            if (withLayout) {
+                const drawing = canvas.querySelector(`[data-ink-id="${info.id}"]`);
+                if (drawing) layout.push({ id: info.id, type: 'ink', ...pagePosition(drawing) });
+            }
+        });
+
         return {
             title,
             dateTime,
+            // UI language of OneNote, which decides the format of dateTime
+            locale: document.documentElement.lang || navigator.language || '',
             contentHtml: contentDiv.innerHTML,
             images: imageInfos,
             attachments: attachmentInfos,
             internalLinks: internalLinks,
             videos: videoInfos,
-            embeds: embedInfos
+            embeds: embedInfos,
+            inks: inkInfos,
+            ...(withLayout ? { layout } : {})
         };
-    });
+    }, { withLayout: !!options.layout });
 }
 
 /**
@@ -651,6 +1011,7 @@ module.exports = {
     getPages,
     selectSection,
     getPageContent,
+    getPageMarkup,
     selectPage,
     navigateBack,
     isSectionLocked
@@ -0,0 +1,221 @@
+/**
+ * Tables GFM pipe tables cannot represent.
+ *
+ * A pipe table has one line per row and no spans, so merged cells
+ * (rowspan/colspan), nested tables and block content in cells (lists, code)
+ * come out broken. Such tables are written as a clean HTML <table> instead,
+ * keeping spans and basic formatting but none of OneNote's classes and styles.
+ * Equations, highlights and note tags in cells are converted as in the rest
+ * of the page, in their HTML form.
+ *
+ * Strategies (tableStrategy option):
+ *  - auto  pipe tables when possible, HTML for the others (default)
+ *  - gfm   always pipe tables (older behaviour)
+ *  - html  always HTML tables
+ */
+
+const path = require('path');
+const { localImageName } = require('./imageFormats');
+const { assetHref } = require('./assetStore');
+const { mathmlToLatex, findMath } = require('./mathml');
+const { styleHtml } = require('./textStyles');
+const { noteTagMarkdown, readNoteTags } = require('./noteTags');
+
+const TABLE_STRATEGIES = ['auto', 'gfm', 'html'];
+
+// Formatting kept as is in HTML tables
+const KEPT_TAGS = ['p', 'br', 'ul', 'ol', 'li', 'b', 'strong', 'i', 'em', 'u', 's', 'del', 'sub', 'sup', 'code', 'pre'];
+// Cell content a pipe table cannot hold
+const BLOCK_TAGS = ['table', 'ul', 'ol', 'pre', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+/**
+ * Validates the tableStrategy option.
+ * @returns {string} - 'auto' (default), 'gfm' or 'html'
+ */
+function resolveTableStrategy(strategy) {
+    if (strategy === undefined || strategy === null || strategy === '') return 'auto';
+    if (!TABLE_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown table strategy "${strategy}". Use one of: ${TABLE_STRATEGIES.join(', ')}`);
+    }
+    return strategy;
+}
+
+/** OneNote table UI (resize handles, hover bars...) that is not content. */
+function isTableJunk(node) {
+    const classes = typeof node.className === 'string' ? node.className : '';
+    return classes.includes('TableHover') ||
+        classes.includes('TableInsertRowGap') ||
+        classes.includes('TableColumnHandle') ||
+        classes.includes('TableColumnWidthSpacer') ||
+        classes.includes('TableColumnResizeHandle');
+}
+
+/** Final asset name of an attachment link (data-local-file, with the extension of data-filename if needed). */
+function localFileName(node) {
+    const localName = node.getAttribute('data-local-file');
+    // If localName already has a dot, it is the full final name
+    if (localName.includes('.')) return localName;
+    const originalName = node.getAttribute('data-filename') || (node.textContent || '').trim() || 'file';
+    const ext = originalName.includes('.') ? originalName.split('.').pop() : 'bin';
+    return `${localName}.${ext}`;
+}
+
+const elementChildren = (node) => Array.from(node.childNodes).filter(child => child.nodeType === 1);
+const tagName = (node) => node.nodeName.toLowerCase();
+const isCell = (node) => ['td', 'th'].includes(tagName(node)) ||
+    ['rowheader', 'columnheader', 'cell', 'gridcell'].includes(node.getAttribute('role'));
+
+/** Rows of a table, looking through thead/tbody/tfoot but not into nested tables. */
+function tableRows(table) {
+    const rows = [];
+    const visit = (node) => {
+        for (const child of elementChildren(node)) {
+            if (tagName(child) === 'tr') rows.push(child);
+            else if (['thead', 'tbody', 'tfoot'].includes(tagName(child))) visit(child);
+        }
+    };
+    visit(table);
+    return rows;
+}
+
+function hasDescendant(node, predicate) {
+    return elementChildren(node).some(child => predicate(child) || hasDescendant(child, predicate));
+}
+
+/**
+ * True when a table cannot be written as a GFM pipe table.
+ * @param {object} table - <table> DOM element
+ */
+function needsHtmlTable(table) {
+    return tableRows(table).some(row => elementChildren(row).filter(isCell).some(cell =>
+        parseInt(cell.getAttribute('rowspan') || '1', 10) > 1 ||
+        parseInt(cell.getAttribute('colspan') || '1', 10) > 1 ||
+        hasDescendant(cell, child => !isTableJunk(child) && BLOCK_TAGS.includes(tagName(child)))
+    ));
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/** True inside <pre>, whose whitespace is content. */
+function isPreformatted(node) {
+    for (let parent = node.parentNode; parent && parent.nodeType === 1; parent = parent.parentNode) {
+        if (tagName(parent) === 'pre') return true;
+        if (isCell(parent)) return false;
+    }
+    return false;
+}
+
+/** Equation in a cell: LaTeX, else its fallback image, else its text. */
+function serializeEquation(node, options, inner) {
+    const math = findMath(node);
+    const latex = math ? mathmlToLatex(math) : null;
+    const block = node.getAttribute('data-equation-display') === 'block' ||
+        (math !== null && math.getAttribute('display') === 'block');
+    if (latex) return escapeHtml(block ? `$$${latex}$$` : `$${latex}$`);
+
+    const equationId = node.getAttribute('data-equation-id');
+    const image = equationId && options.onMathFallback ? options.onMathFallback(equationId) : null;
+    return image ? `<img src="assets/${escapeHtml(image)}">` : inner();
+}
+
+/** Note tags of a cell paragraph: a check box before the text, #tags after it. */
+function withNoteTags(html, node, options) {
+    const { task, tags } = noteTagMarkdown(readNoteTags(node), options.noteTags);
+    const checkbox = task ? `<input type="checkbox" disabled${task === '[x]' ? ' checked' : ''}> ` : '';
+    return checkbox + [html.trim(), ...tags.map(escapeHtml)].filter(Boolean).join(' ');
+}
+
+/**
+ * Serializes cell content, keeping only simple formatting.
+ * @param {object} options - { styles, noteTags, onMathFallback, getNoteFolder }, as for createMarkdownConverter()
+ */
+function serializeInline(node, options) {
+    if (node.nodeType === 3) {
+        // Line breaks become <br> so the table stays free of blank lines
+        if (isPreformatted(node)) return escapeHtml(node.textContent).replace(/\r?\n/g, '<br>');
+        return escapeHtml(node.textContent.replace(/\s+/g, ' '));
+    }
+    if (node.nodeType !== 1 || isTableJunk(node)) return '';
+
+    const name = tagName(node);
+    const inner = () => {
+        const html = Array.from(node.childNodes).map(child => serializeInline(child, options)).join('');
+        return node.getAttribute('data-note-tags') ? withNoteTags(html, node, options) : html;
+    };
+
+    if (name === 'table') return serializeTable(node, true, options);
+    if (name === 'math' || node.getAttribute('data-equation-id')) return serializeEquation(node, options, inner);
+    if (name === 'img') {
+        const local = node.getAttribute('data-local-src');
+        const ink = node.getAttribute('data-local-ink');
+        if (!local && !ink) return '';
+        const alt = node.getAttribute('alt') ? ` alt="${escapeHtml(node.getAttribute('alt'))}"` : '';
+        const src = local ? assetHref(localImageName(local), options.getNoteFolder()) : `assets/${ink}`;
+        return `<img src="${escapeHtml(src)}"${alt}>`;
+    }
+    if (name === 'a') {
+        if (node.getAttribute('data-local-file')) {
+            const file = localFileName(node);
+            const href = assetHref(file, options.getNoteFolder());
+            return `<a href="${escapeHtml(href)}">${escapeHtml(path.basename(file))}</a>`;
+        }
+        if (node.getAttribute('data-internal-link')) {
+            // Same placeholder as the internalLinks rule, resolved after the export
+            return `[[${(node.textContent || '').trim()}]]<!-- onenote-link:${node.getAttribute('data-internal-link')} -->`;
+        }
+        const href = node.getAttribute('href') || '';
+        return /^(https?:|mailto:)/i.test(href) ? `<a href="${escapeHtml(href)}">${inner()}</a>` : inner();
+    }
+    if (name === 'br') return '<br>';
+    if (['span', 'mark', 'font'].includes(name)) return styleHtml(inner(), node, options.styles);
+    if (KEPT_TAGS.includes(name)) {
+        const content = name === 'pre' ? inner() : inner().trim();
+        if (!content.trim()) return '';
+        return `<${name}>${content}</${name}>`;
+    }
+    return inner();
+}
+
+function serializeTable(table, nested, options) {
+    // Nested tables are inlined into their cell: no line breaks inside a cell
+    const indent = (depth) => (nested ? '' : '  '.repeat(depth));
+    const lines = ['<table>'];
+    for (const row of tableRows(table)) {
+        lines.push(`${indent(1)}<tr>`);
+        for (const cell of elementChildren(row).filter(isCell)) {
+            const tag = tagName(cell) === 'th' || ['rowheader', 'columnheader'].includes(cell.getAttribute('role')) ? 'th' : 'td';
+            const spans = ['rowspan', 'colspan']
+                .filter(attr => parseInt(cell.getAttribute(attr) || '1', 10) > 1)
+                .map(attr => ` ${attr}="${parseInt(cell.getAttribute(attr), 10)}"`)
+                .join('');
+            const content = Array.from(cell.childNodes).map(child => serializeInline(child, options)).join('').trim();
+            lines.push(`${indent(2)}<${tag}${spans}>${content}</${tag}>`);
+        }
+        lines.push(`${indent(1)}</tr>`);
+    }
+    lines.push('</table>');
+    return lines.join(nested ? '' : '\n');
+}
+
+/**
+ * Writes a table as an HTML block. It has no blank lines (text whitespace is
+ * collapsed, line breaks in <pre> are written as <br>), so Markdown renderers
+ * keep it in one piece.
+ * @param {object} table - <table> DOM element
+ * @param {object} options - { styles: result of resolveStyleOptions(), noteTags: Map from
+ *                           resolveNoteTagMap(), onMathFallback: (equationId) => image file name, or null,
+ *                           getNoteFolder: () => vault-relative folder of the note, for shared assets }
+ * @returns {string}
+ */
+function tableToHtml(table, options = {}) {
+    return serializeTable(table, false, {
+        styles: options.styles || { level: 'obsidian', palette: new Map() },
+        noteTags: options.noteTags || new Map(),
+        onMathFallback: options.onMathFallback || null,
+        getNoteFolder: options.getNoteFolder || (() => '')
+    });
+}
+
+module.exports = { TABLE_STRATEGIES, resolveTableStrategy, isTableJunk, localFileName, needsHtmlTable, tableToHtml };
@@ -0,0 +1,152 @@
+/**
+ * Highlight and font colour of OneNote text runs in Markdown.
+ *
+ * Fidelity levels (styleFidelity option):
+ *  - plain     text only, colours are dropped
+ *  - obsidian  highlights become ==text==, font colours are dropped (default)
+ *  - html      highlights become <mark>, font colours <span style="color: ...">
+ *
+ * The palette maps OneNote colours to the colours to write, e.g.
+ * { "#ffff00": "#fff3a3", "#00ffff": false }; false drops that colour (the text
+ * is then written as if it had none). Keys and values may be hex, rgb() or
+ * CSS colour names. Black text and white/transparent backgrounds are the
+ * OneNote defaults and never count as styling.
+ */
+
+const STYLE_FIDELITY_LEVELS = ['plain', 'obsidian', 'html'];
+
+// CSS colour names OneNote's highlighter and font colour pickers produce
+const NAMED_COLORS = {
+    black: '#000000', white: '#ffffff', yellow: '#ffff00', lime: '#00ff00', aqua: '#00ffff', cyan: '#00ffff',
+    fuchsia: '#ff00ff', magenta: '#ff00ff', blue: '#0000ff', red: '#ff0000', navy: '#000080', teal: '#008080',
+    green: '#008000', purple: '#800080', maroon: '#800000', olive: '#808000', gray: '#808080', grey: '#808080',
+    silver: '#c0c0c0', orange: '#ffa500'
+};
+
+const DEFAULT_TEXT_COLORS = ['#000000', 'windowtext', 'inherit', 'currentcolor', 'initial'];
+const DEFAULT_BACKGROUNDS = ['#ffffff', 'transparent', 'window', 'inherit', 'initial', 'none'];
+
+/**
+ * Normalizes a CSS colour to lowercase #rrggbb ('transparent' for fully
+ * transparent rgba(), other keywords lowercased as they are).
+ * @returns {string|null} - null when empty
+ */
+function normalizeColor(value) {
+    const color = String(value || '').trim().toLowerCase().replace(/\s*!important$/, '');
+    if (!color) return null;
+    if (NAMED_COLORS[color]) return NAMED_COLORS[color];
+
+    let match = color.match(/^#([0-9a-f]{3})$/);
+    if (match) return '#' + match[1].split('').map(c => c + c).join('');
+    if (/^#[0-9a-f]{6}$/.test(color)) return color;
+
+    match = color.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)(?:[\s,/]+([\d.]+%?))?\s*\)$/);
+    if (match) {
+        if (match[4] !== undefined && parseFloat(match[4]) === 0) return 'transparent';
+        return '#' + match.slice(1, 4).map(n => Math.min(255, +n).toString(16).padStart(2, '0')).join('');
+    }
+    return color;
+}
+
+/**
+ * Validates the styleFidelity and palette options.
+ * @param {object} options - { styleFidelity, palette }
+ * @returns {{ level: string, palette: Map<string, string> }} - palette: normalized colour → colour ('' = dropped)
+ * @throws {Error} on an unknown level or a malformed palette
+ */
+function resolveStyleOptions({ styleFidelity, palette } = {}) {
+    const level = styleFidelity || 'obsidian';
+    if (!STYLE_FIDELITY_LEVELS.includes(level)) {
+        throw new Error(`Unknown style fidelity "${level}". Use one of: ${STYLE_FIDELITY_LEVELS.join(', ')}`);
+    }
+
+    const map = new Map();
+    if (palette !== undefined && palette !== null) {
+        if (typeof palette !== 'object' || Array.isArray(palette)) {
+            throw new Error('palette must be an object mapping OneNote colours to colours');
+        }
+        for (const [from, to] of Object.entries(palette)) {
+            if (to !== false && typeof to !== 'string') {
+                throw new Error(`palette["${from}"] must be a colour or false`);
+            }
+            map.set(normalizeColor(from), to ? String(to).trim() : '');
+        }
+    }
+    return { level, palette: map };
+}
+
+/** Applies the palette; null when the colour is a default or dropped. */
+function mapColor(value, defaults, palette) {
+    const color = normalizeColor(value);
+    if (!color || defaults.includes(color)) return null;
+    if (palette.has(color)) return palette.get(color) || null;
+    return color;
+}
+
+/**
+ * Reads the colours of an element from its inline style.
+ * @returns {{ color: string|null, background: string|null }}
+ */
+function readTextStyle(node, { palette }) {
+    const style = node.getAttribute('style') || '';
+    const prop = (name) => {
+        const match = style.match(new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`, 'i'));
+        return match ? match[1] : null;
+    };
+    const classes = typeof node.className === 'string' ? node.className : '';
+    // <mark> and OneNote's Highlight class without an explicit colour mean yellow
+    const background = prop('background-color') || prop('background') ||
+        (node.nodeName === 'MARK' || /\bHighlight\b/.test(classes) ? 'yellow' : null);
+    return {
+        color: mapColor(prop('color'), DEFAULT_TEXT_COLORS, palette),
+        background: mapColor(background, DEFAULT_BACKGROUNDS, palette)
+    };
+}
+
+/** True if an element carries a colour worth a rule at this fidelity level. */
+function hasTextStyle(node, styleOptions) {
+    if (styleOptions.level === 'plain') return false;
+    const { color, background } = readTextStyle(node, styleOptions);
+    return !!background || (styleOptions.level === 'html' && !!color);
+}
+
+/**
+ * Wraps converted content in the highlight / colour markup of the level.
+ * Surrounding spaces are kept outside the markers (==text== must not start
+ * or end with a space).
+ */
+function styleMarkdown(content, node, styleOptions) {
+    const [, lead, text, trail] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!text) return content;
+
+    const { color, background } = readTextStyle(node, styleOptions);
+    let result = text;
+    if (styleOptions.level === 'html') {
+        result = wrapHtml(result, color, background);
+    } else if (background) {
+        result = `==${result}==`;
+    }
+    return lead + result + trail;
+}
+
+function wrapHtml(html, color, background) {
+    let result = html;
+    if (color) result = `<span style="color: ${color}">${result}</span>`;
+    if (background) {
+        result = background === '#ffff00' ? `<mark>${result}</mark>` : `<mark style="background: ${background}">${result}</mark>`;
+    }
+    return result;
+}
+
+/**
+ * Same styling inside HTML blocks (tables written as HTML, see tables.js),
+ * where ==text== is not rendered: highlights become <mark> at the obsidian
+ * level too, font colours still need the html level.
+ */
+function styleHtml(html, node, styleOptions) {
+    if (!html.trim() || !hasTextStyle(node, styleOptions)) return html;
+    const { color, background } = readTextStyle(node, styleOptions);
+    return wrapHtml(html, styleOptions.level === 'html' ? color : null, background);
+}
+
+module.exports = { STYLE_FIDELITY_LEVELS, normalizeColor, resolveStyleOptions, hasTextStyle, styleMarkdown, styleHtml };
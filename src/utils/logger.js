@@ -18,10 +18,21 @@ class Logger {
         // Format: YYYY-MM-DD_HHhMM (as per user request "h" vs ":" and "no single digits")
         this.dumpSubDir = `${yyyy}-${mm}-${dd}_${hh}h${min}`;
 
+        // Console stream for non-error output (see useStderr)
+        this.out = process.stdout;
+
         // Ensure logs directory exists
         fs.ensureDirSync(path.dirname(this.logFilePath));
     }
 
+    /**
+     * Sends every console message to stderr, keeping stdout free for
+     * machine-readable output (--json).
+     */
+    useStderr() {
+        this.out = process.stderr;
+    }
+
     _getTimestamp() {
         const now = new Date();
         const month = this.months[now.getMonth()];
@@ -111,11 +122,11 @@ class Logger {
     }
 
     info(message) {
-        process.stdout.write(this._formatMessage('INFO', message, chalk.blue) + '\n');
+        this.out.write(this._formatMessage('INFO', message, chalk.blue) + '\n');
     }
 
     warn(message) {
-        process.stdout.write(this._formatMessage('WARN', message, chalk.yellow) + '\n');
+        this.out.write(this._formatMessage('WARN', message, chalk.yellow) + '\n');
     }
 
     error(message, error = null) {
@@ -133,15 +144,15 @@ class Logger {
     }
 
     success(message) {
-        process.stdout.write(this._formatMessage('SUCCESS', message, chalk.green) + '\n');
+        this.out.write(this._formatMessage('SUCCESS', message, chalk.green) + '\n');
     }
 
     debug(message) {
-        process.stdout.write(this._formatMessage('DEBUG', message, chalk.gray) + '\n');
+        this.out.write(this._formatMessage('DEBUG', message, chalk.gray) + '\n');
     }
 
     step(message) {
-        process.stdout.write(this._formatMessage('STEP', message, chalk.magenta) + '\n');
+        this.out.write(this._formatMessage('STEP', message, chalk.magenta) + '\n');
     }
 }
 
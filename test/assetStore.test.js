@@ -0,0 +1,80 @@
+const { AssetStore, assetPath, assetHref, formatBytes } = require('../src/assetStore');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Asset Store', () => {
+    let outputBase;
+
+    beforeEach(async () => {
+        outputBase = path.join(__dirname, '..', '.test-temp', `assets-${Date.now()}`);
+        await fs.ensureDir(path.join(outputBase, 'Work', 'assets'));
+        await fs.ensureDir(path.join(outputBase, 'Home', 'assets'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(outputBase);
+    });
+
+    const write = async (relativePath, content) => {
+        const filePath = path.join(outputBase, relativePath);
+        await fs.writeFile(filePath, content);
+        return filePath;
+    };
+
+    test('keeps the first copy and reports the bytes saved', async () => {
+        const store = new AssetStore(outputBase);
+        const first = await write('Work/assets/Kickoff_img_1.png', 'logo-bytes');
+        expect(await store.adopt(first)).toBe(first);
+
+        const second = await write('Home/assets/Groceries_img_1.png', 'logo-bytes');
+        expect(await store.adopt(second)).toBe(first);
+        expect(await fs.pathExists(second)).toBe(false);
+
+        const other = await write('Home/assets/Groceries_img_2.png', 'other-bytes');
+        expect(await store.adopt(other)).toBe(other);
+        expect(store.stats).toEqual({ deduplicatedAssets: 1, bytesSaved: 10 });
+    });
+
+    test('shares files with earlier runs through the index, without overwriting them', async () => {
+        const index = {};
+        const kickoff = await write('Work/assets/Kickoff_img_1.png', 'logo-bytes');
+        await new AssetStore(outputBase, index).adopt(kickoff);
+        expect(Object.values(index)).toEqual(['Work/assets/Kickoff_img_1.png']);
+
+        // Next run: Kickoff changed, its new image must not replace the file other pages embed
+        const store = new AssetStore(outputBase, index);
+        const target = store.reserve(kickoff);
+        expect(target).toBe(path.join(outputBase, 'Work/assets/Kickoff_img_1_1.png'));
+        expect(store.reserve(path.join(outputBase, 'Work/assets/Kickoff_img_2.png')))
+            .toBe(path.join(outputBase, 'Work/assets/Kickoff_img_2.png'));
+
+        await write('Work/assets/Kickoff_img_1_1.png', 'logo-bytes');
+        expect(await store.adopt(target)).toBe(kickoff);
+        expect(await fs.readFile(kickoff, 'utf8')).toBe('logo-bytes');
+    });
+
+    test('forgets stored files deleted from disk', async () => {
+        const index = {};
+        const gone = await write('Work/assets/Old_img_1.png', 'logo-bytes');
+        await new AssetStore(outputBase, index).adopt(gone);
+        await fs.remove(gone);
+
+        const store = new AssetStore(outputBase, index);
+        const fresh = await write('Home/assets/New_img_1.png', 'logo-bytes');
+        expect(await store.adopt(fresh)).toBe(fresh);
+        expect(Object.values(index)).toEqual(['Home/assets/New_img_1.png']);
+    });
+
+    test('assetPath and formatBytes', () => {
+        expect(assetPath('Page_img_1.png')).toBe('assets/Page_img_1.png');
+        expect(assetPath('Work/assets/Kickoff_img_1.png')).toBe('Work/assets/Kickoff_img_1.png');
+        expect(formatBytes(512)).toBe('512 B');
+        expect(formatBytes(3 * 1024 * 1024 + 100 * 1024)).toBe('3.1 MB');
+    });
+
+    test('assetHref is relative to the note', () => {
+        expect(assetHref('Page_img_1.png', 'Private')).toBe('assets/Page_img_1.png');
+        expect(assetHref('Work/assets/Kickoff_img_1.png', 'Private/Diary')).toBe('../../Work/assets/Kickoff_img_1.png');
+        expect(assetHref('Work/assets/Kickoff_img_1.png', '')).toBe('Work/assets/Kickoff_img_1.png');
+    });
+});
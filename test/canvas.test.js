@@ -0,0 +1,55 @@
+const { buildCanvas, canvasJson } = require('../src/canvas');
+
+describe('Canvas', () => {
+    test('places text blocks relative to the first block', () => {
+        const canvas = buildCanvas([
+            { x: 148.4, y: 120, width: 600, height: 90, text: '# Plan\n\nFirst step' },
+            { x: 800, y: 100, width: 300.6, height: 200, text: 'Side note' }
+        ]);
+        expect(canvas).toEqual({
+            nodes: [
+                { id: 'block-1', type: 'text', text: '# Plan\n\nFirst step', x: 0, y: 20, width: 600, height: 90 },
+                { id: 'block-2', type: 'text', text: 'Side note', x: 652, y: 0, width: 301, height: 200 }
+            ],
+            edges: []
+        });
+    });
+
+    test('makes images and drawings file nodes with vault paths', () => {
+        const { nodes } = buildCanvas([
+            { x: 0, y: 0, width: 400, height: 300, text: '![[assets/Plan_img_1.png]]' },
+            { x: 0, y: 320, width: 10, height: 10, file: 'assets/Plan_ink_2.svg' },
+            { x: 0, y: 400, width: 400, height: 50, text: 'See ![[assets/Plan_img_3.png]] here' }
+        ], { folder: 'Work/Projects' });
+        expect(nodes.map(({ type, file, width, height }) => ({ type, file, width, height }))).toEqual([
+            { type: 'file', file: 'Work/Projects/assets/Plan_img_1.png', width: 400, height: 300 },
+            { type: 'file', file: 'Work/Projects/assets/Plan_ink_2.svg', width: 40, height: 40 },
+            { type: 'text', file: undefined, width: 400, height: 50 }
+        ]);
+    });
+
+    test('takes images placed as their own node out of the outline text', () => {
+        const { nodes } = buildCanvas([
+            { x: 0, y: 0, width: 500, height: 400, text: 'Before\n\n![[assets/Plan_img_1.png]]\n\nAfter ![[assets/Plan_img_2.png]]' },
+            { x: 20, y: 60, width: 300, height: 200, file: 'assets/Plan_img_1.png' },
+            { x: 0, y: 500, width: 300, height: 200, text: '![[Home/assets/Logo_img_1.png]]' },
+            { x: 0, y: 500, width: 300, height: 200, file: 'Home/assets/Logo_img_1.png' }
+        ]);
+        expect(nodes.map(({ type, text, file }) => ({ type, text, file }))).toEqual([
+            { type: 'text', text: 'Before\n\nAfter ![[assets/Plan_img_2.png]]', file: undefined },
+            { type: 'file', text: undefined, file: 'assets/Plan_img_1.png' },
+            { type: 'file', text: undefined, file: 'Home/assets/Logo_img_1.png' }
+        ]);
+    });
+
+    test('skips empty blocks and serializes like Obsidian', () => {
+        const canvas = buildCanvas([
+            { x: 50, y: 50, width: 100, height: 100, text: '  ' },
+            { x: 10, y: 80, width: 100, height: 100, file: null },
+            { x: 200, y: 300, width: 100, height: 100, text: 'Only' }
+        ]);
+        expect(canvas.nodes).toEqual([{ id: 'block-1', type: 'text', text: 'Only', x: 0, y: 0, width: 100, height: 100 }]);
+        expect(canvasJson(canvas)).toBe(JSON.stringify(canvas, null, '\t') + '\n');
+        expect(buildCanvas([])).toEqual({ nodes: [], edges: [] });
+    });
+});
@@ -0,0 +1,79 @@
+const { saveCheckpoint, loadCheckpoint, clearCheckpoint, hasCheckpoint, CHECKPOINT_FILE } = require('../src/checkpoint');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Checkpoint', () => {
+    let testDir;
+    let outputBase;
+
+    beforeEach(async () => {
+        testDir = path.join(__dirname, '..', '.test-temp', `test-${Date.now()}`);
+        outputBase = path.join(testDir, 'notebook');
+        await fs.ensureDir(outputBase);
+    });
+
+    afterEach(async () => {
+        await fs.remove(testDir);
+    });
+
+    test('returns null when there is no checkpoint', async () => {
+        expect(await loadCheckpoint(outputBase)).toBeNull();
+        expect(await hasCheckpoint(outputBase)).toBe(false);
+    });
+
+    test('round-trips traversal state', async () => {
+        const pagePath = path.join(outputBase, 'Section', 'Page.md');
+        await saveCheckpoint(outputBase, {
+            completedItems: new Set(['{section}', '{page}']),
+            seenPages: new Set(['{page}', '{filtered}']),
+            pageIdMap: {
+                '{section}': { path: path.join(outputBase, 'Section'), isDir: true },
+                '{page}': { path: pagePath, isDir: false, internalLinks: [{ id: 'link_0', href: 'onenote:x', text: 'X' }] }
+            },
+            stats: { totalPages: 1, totalAssets: 2 }
+        });
+
+        const checkpoint = await loadCheckpoint(outputBase);
+        expect(checkpoint.completedItems).toEqual(new Set(['{section}', '{page}']));
+        expect(checkpoint.seenPages).toEqual(new Set(['{page}', '{filtered}']));
+        expect(checkpoint.pageIdMap['{page}'].path).toBe(pagePath);
+        expect(checkpoint.pageIdMap['{page}'].internalLinks).toHaveLength(1);
+        expect(checkpoint.stats).toEqual({ totalPages: 1, totalAssets: 2 });
+        expect(checkpoint.savedAt).toBeDefined();
+    });
+
+    test('stores page and canvas paths relative to the notebook folder', async () => {
+        await saveCheckpoint(outputBase, {
+            completedItems: new Set(),
+            pageIdMap: {
+                '{page}': {
+                    path: path.join(outputBase, 'Section', 'Page.md'),
+                    canvasPath: path.join(outputBase, 'Section', 'Page.canvas'),
+                    isDir: false
+                },
+                '{other}': { path: path.join(outputBase, 'Section', 'Other.md'), canvasPath: null, isDir: false }
+            },
+            stats: {}
+        });
+
+        const raw = await fs.readJson(path.join(outputBase, CHECKPOINT_FILE));
+        expect(raw.pageIdMap['{page}'].path).toBe('Section/Page.md');
+        expect(raw.pageIdMap['{page}'].canvasPath).toBe('Section/Page.canvas');
+
+        const checkpoint = await loadCheckpoint(outputBase);
+        expect(checkpoint.pageIdMap['{page}'].canvasPath).toBe(path.join(outputBase, 'Section', 'Page.canvas'));
+        expect(checkpoint.pageIdMap['{other}'].canvasPath).toBeNull();
+    });
+
+    test('ignores a corrupt checkpoint', async () => {
+        await fs.writeFile(path.join(outputBase, CHECKPOINT_FILE), '{oops');
+        expect(await loadCheckpoint(outputBase)).toBeNull();
+    });
+
+    test('clearCheckpoint removes the file', async () => {
+        await saveCheckpoint(outputBase, { completedItems: new Set(), pageIdMap: {}, stats: {} });
+        expect(await hasCheckpoint(outputBase)).toBe(true);
+        await clearCheckpoint(outputBase);
+        expect(await hasCheckpoint(outputBase)).toBe(false);
+    });
+});
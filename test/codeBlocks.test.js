@@ -0,0 +1,24 @@
+const { guessLanguage, codeFence } = require('../src/codeBlocks');
+
+describe('Code blocks', () => {
+    test.each([
+        ['bash', 'sudo apt-get update\nnpm install'],
+        ['bash', '#!/bin/bash\necho "hi"'],
+        ['json', '{ "name": "app", "version": 1 }'],
+        ['python', 'def main():\n    print("hi")'],
+        ['javascript', 'const x = require(\'fs\');\nconsole.log(x);'],
+        ['sql', 'SELECT id, name\nFROM users WHERE id = 1;'],
+        ['powershell', 'Get-ChildItem -Path C:\\\\ | Write-Host'],
+        ['html', '<div class="a"><p>Hi</p></div>'],
+        ['yaml', 'name: build\non: push\njobs:\n  test: x'],
+        ['', 'just some words']
+    ])('guesses %s', (language, code) => {
+        expect(guessLanguage(code)).toBe(language);
+    });
+
+    test('codeFence is longer than backtick runs in the code', () => {
+        expect(codeFence('plain')).toBe('```');
+        expect(codeFence('a ```` b')).toBe('`````');
+        expect(codeFence('a`b', 1)).toBe('``');
+    });
+});
@@ -0,0 +1,68 @@
+const { loadConfig, mergeOptions, CONFIG_FILE_NAME } = require('../src/configFile');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Config file', () => {
+    let testDir;
+    let projectDir;
+    let previousXdg;
+
+    beforeEach(async () => {
+        testDir = path.join(__dirname, '..', '.test-temp', `test-${Date.now()}`);
+        projectDir = path.join(testDir, 'project');
+        await fs.ensureDir(projectDir);
+        // Point the user config at the temp dir so the real one is never read
+        previousXdg = process.env.XDG_CONFIG_HOME;
+        process.env.XDG_CONFIG_HOME = path.join(testDir, 'user');
+    });
+
+    afterEach(async () => {
+        if (previousXdg === undefined) delete process.env.XDG_CONFIG_HOME;
+        else process.env.XDG_CONFIG_HOME = previousXdg;
+        await fs.remove(testDir);
+    });
+
+    describe('mergeOptions', () => {
+        test('later layers win, unset values do not override', () => {
+            const merged = mergeOptions(
+                { nopassasked: true, exportDir: '/a', include: ['x'] },
+                { exportDir: '/b' },
+                { exportDir: undefined, include: '', full: true }
+            );
+            expect(merged).toEqual({ nopassasked: true, exportDir: '/b', include: ['x'], full: true });
+        });
+
+        test('merges waits key by key', () => {
+            expect(mergeOptions({ waits: { page: 1, section: 2 } }, { waits: { page: 3 } }).waits)
+                .toEqual({ page: 3, section: 2 });
+        });
+    });
+
+    describe('loadConfig', () => {
+        test('returns nothing when there are no config files', async () => {
+            expect(await loadConfig({ cwd: projectDir })).toEqual({ options: {}, sources: [], warnings: [] });
+        });
+
+        test('layers the user config over the project config', async () => {
+            await fs.writeJson(path.join(projectDir, CONFIG_FILE_NAME), { nopassasked: true, downloadTimeout: 30000, exportDir: 'vault' });
+            await fs.outputJson(path.join(testDir, 'user', 'onenote-exporter', 'config.json'), { downloadTimeout: 90000, colour: 'red' });
+
+            const { options, sources, warnings } = await loadConfig({ cwd: projectDir });
+            expect(options).toEqual({ nopassasked: true, downloadTimeout: 90000, exportDir: path.join(projectDir, 'vault'), colour: 'red' });
+            expect(sources).toHaveLength(2);
+            expect(warnings).toEqual([expect.stringContaining('"colour"')]);
+        });
+
+        test('uses an explicit --config file and rejects a missing one', async () => {
+            await fs.writeJson(path.join(testDir, 'team.json'), { exclude: ['**/Archive*'] });
+            const { options } = await loadConfig({ cwd: projectDir, configPath: '../team.json' });
+            expect(options.exclude).toEqual(['**/Archive*']);
+            await expect(loadConfig({ cwd: projectDir, configPath: 'missing.json' })).rejects.toThrow('Config file not found');
+        });
+
+        test('reports invalid JSON with the file path', async () => {
+            await fs.writeFile(path.join(projectDir, CONFIG_FILE_NAME), '{ nope');
+            await expect(loadConfig({ cwd: projectDir })).rejects.toThrow(CONFIG_FILE_NAME);
+        });
+    });
+});
@@ -0,0 +1,56 @@
+const { parseOneNoteDate, detectDateLocale } = require('../src/dates');
+
+const paris = { timeZone: 'Europe/Paris' };
+
+describe('Dates', () => {
+    test.each([
+        ['Tuesday, March 3, 2026 10:15 AM'],
+        ['Tuesday, 3 March 2026 10:15'],
+        ['mardi 3 mars 2026 10:15'],
+        ['Dienstag, 3. März 2026 10:15'],
+        ['martes, 3 de marzo de 2026 10:15'],
+        ['martedì 3 marzo 2026 10:15'],
+        ['terça-feira, 3 de março de 2026 10:15'],
+        ['dinsdag 3 maart 2026 10:15'],
+        ['2026年3月3日 10:15'],
+        ['2026-03-03 10:15']
+    ])('parses "%s"', (text) => {
+        expect(parseOneNoteDate(text, paris).iso).toBe('2026-03-03T10:15:00+01:00');
+    });
+
+    test('handles 12-hour clocks', () => {
+        expect(parseOneNoteDate('March 3, 2026 12:05 AM', paris).iso).toBe('2026-03-03T00:05:00+01:00');
+        expect(parseOneNoteDate('March 3, 2026 4:30 PM', paris).iso).toBe('2026-03-03T16:30:00+01:00');
+        expect(parseOneNoteDate('2026年3月3日 午後4:30', paris).iso).toBe('2026-03-03T16:30:00+01:00');
+    });
+
+    test('uses the locale for the order of numeric dates', () => {
+        expect(parseOneNoteDate('3/4/2026 10:15', { ...paris, locale: 'en-US' }).iso).toBe('2026-03-04T10:15:00+01:00');
+        expect(parseOneNoteDate('3/4/2026 10:15', { ...paris, locale: 'fr-FR' }).iso).toBe('2026-04-03T10:15:00+02:00');
+        expect(parseOneNoteDate('03.04.2026 10:15', paris).iso).toBe('2026-04-03T10:15:00+02:00');
+    });
+
+    test('applies the time zone, including daylight saving time', () => {
+        const summer = parseOneNoteDate('July 5, 2026 9:00 PM', paris);
+        expect(summer.iso).toBe('2026-07-05T21:00:00+02:00');
+        expect(summer.timestamp).toBe(Date.UTC(2026, 6, 5, 19, 0, 0));
+        expect(parseOneNoteDate('July 5, 2026 9:00 PM', { timeZone: 'America/New_York' }).timestamp)
+            .toBe(Date.UTC(2026, 6, 6, 1, 0, 0));
+    });
+
+    test('returns null for text that is not a date', () => {
+        expect(parseOneNoteDate('')).toBeNull();
+        expect(parseOneNoteDate('Meeting notes')).toBeNull();
+        expect(parseOneNoteDate('31 février 2026 10:15', paris)).toBeNull();
+    });
+
+    test('rejects an unknown time zone', () => {
+        expect(() => parseOneNoteDate('2026-03-03', { timeZone: 'Mars/Olympus' })).toThrow('Invalid time zone');
+    });
+
+    test('detectDateLocale recognizes the month language', () => {
+        expect(detectDateLocale('mardi 3 mars 2026')).toBe('fr');
+        expect(detectDateLocale('Dienstag, 3. März 2026')).toBe('de');
+        expect(detectDateLocale('3/3/2026')).toBeNull();
+    });
+});
@@ -0,0 +1,142 @@
+const { EventEmitter } = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const { tryNetworkInterception, matchAttachmentResponse, contentDispositionName } = require('../src/downloadStrategies');
+
+/** Fake Playwright response */
+function createResponse(url, headers, body = 'file-bytes', status = 200) {
+    return {
+        url: () => url,
+        status: () => status,
+        headers: () => headers,
+        body: async () => Buffer.from(body)
+    };
+}
+
+/**
+ * Fake content frame whose attachment element, when clicked, makes the
+ * context emit the given responses (what OneNote Web fetches on open).
+ */
+function createFakeFrame(responses, { hasElement = true, blob = null } = {}) {
+    const context = new EventEmitter();
+    const popup = { close: jest.fn(async () => { }) };
+    const page = {
+        context: () => context,
+        keyboard: { press: jest.fn(async () => { }) }
+    };
+    const link = {
+        scrollIntoViewIfNeeded: async () => { },
+        click: async () => {
+            context.emit('page', popup);
+            for (const response of responses) context.emit('response', response);
+        }
+    };
+    return {
+        page: () => page,
+        waitForSelector: async () => (hasElement ? link : null),
+        evaluate: async () => Buffer.from(blob || '').toString('base64'),
+        context,
+        popup
+    };
+}
+
+describe('Download Strategies', () => {
+    describe('contentDispositionName', () => {
+        test('reads quoted, bare and RFC 5987 file names', () => {
+            expect(contentDispositionName('attachment; filename="Budget 2024.xlsx"')).toBe('Budget 2024.xlsx');
+            expect(contentDispositionName('inline; filename=report.pdf')).toBe('report.pdf');
+            expect(contentDispositionName('attachment; filename="fallback.pdf"; filename*=UTF-8\'\'R%C3%A9sum%C3%A9.pdf'))
+                .toBe('Résumé.pdf');
+            expect(contentDispositionName('attachment')).toBeNull();
+            expect(contentDispositionName(undefined)).toBeNull();
+        });
+    });
+
+    describe('matchAttachmentResponse', () => {
+        const info = { src: 'https://example.com/files/report.pdf', originalName: 'Report.pdf' };
+        const match = (url, headers, status = 200) => matchAttachmentResponse({ url, status, headers }, info);
+
+        test('recognizes the attachment by file name or URL', () => {
+            expect(match('https://x/wopi/files/abc/contents', { 'content-disposition': 'attachment; filename="report.pdf"' })).toBe(2);
+            expect(match('https://example.com/files/report.pdf', { 'content-type': 'application/pdf' })).toBe(2);
+        });
+
+        test('accepts unnamed file downloads of the right type as candidates', () => {
+            expect(match('https://x/wopi/files/abc/contents?access_token=t', { 'content-type': 'application/octet-stream' })).toBe(1);
+            expect(match('https://x/getimage.ashx?id=1', { 'content-type': 'application/pdf' })).toBe(1);
+            expect(match('https://x/download.aspx?id=1', { 'content-disposition': 'attachment', 'content-type': 'application/pdf' })).toBe(1);
+            const docx = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+            expect(matchAttachmentResponse({ url: 'https://x/download.aspx?id=2', status: 200, headers: { 'content-type': docx } },
+                { src: '', originalName: 'Minutes.docx' })).toBe(1);
+        });
+
+        test('rejects downloads of other files', () => {
+            expect(match('https://x/api/thing', { 'content-disposition': 'attachment; filename="other.zip"' })).toBe(0);
+            expect(match('https://x/wopi/files/abc/contents', { 'content-disposition': 'attachment; filename="Budget.xlsx"' })).toBe(0);
+            expect(match('https://x/download.aspx?id=9', { 'content-type': 'application/zip' })).toBe(0);
+            expect(match('https://x/api/thing', { 'content-disposition': 'attachment', 'content-type': 'application/pdf' })).toBe(0);
+        });
+
+        test('ignores page traffic, errors and the pictures of the page', () => {
+            expect(match('https://x/wopi/files/abc/contents', { 'content-type': 'text/html; charset=utf-8' })).toBe(0);
+            expect(match('https://x/wopi/files/abc/contents', {}, 404)).toBe(0);
+            expect(match('https://x/getimage.ashx?id=2', { 'content-type': 'image/png' })).toBe(0);
+            expect(match('https://x/scripts/app.js', { 'content-type': 'application/octet-stream' })).toBe(0);
+        });
+    });
+
+    describe('tryNetworkInterception', () => {
+        let tempDir;
+        let outputPath;
+
+        beforeEach(async () => {
+            tempDir = path.join(__dirname, '..', '.test-temp', `downloads-${Date.now()}`);
+            await fs.ensureDir(tempDir);
+            outputPath = path.join(tempDir, 'Report.pdf');
+        });
+
+        afterEach(async () => {
+            await fs.remove(tempDir);
+        });
+
+        const info = { id: 'file_0', src: '', originalName: 'Report.pdf' };
+        const fast = { timeout: 200, settle: 20 };
+
+        test('saves the response that names the attachment', async () => {
+            const frame = createFakeFrame([
+                createResponse('https://x/getimage.ashx?id=1', { 'content-type': 'image/png' }, 'thumbnail'),
+                createResponse('https://x/download.aspx?id=9', { 'content-type': 'application/zip' }, 'other'),
+                createResponse('https://x/wopi/files/abc/contents', { 'content-disposition': 'attachment; filename="Report.pdf"' }, 'pdf-bytes')
+            ]);
+            expect(await tryNetworkInterception(frame, info, outputPath, fast)).toBe(true);
+            expect(await fs.readFile(outputPath, 'utf8')).toBe('pdf-bytes');
+            expect(frame.context.listenerCount('response')).toBe(0);
+            expect(frame.popup.close).toHaveBeenCalled();
+        });
+
+        test('falls back to another file response', async () => {
+            const frame = createFakeFrame([
+                createResponse('https://x/wopi/files/abc/contents', { 'content-type': 'application/octet-stream' }, 'bytes')
+            ]);
+            expect(await tryNetworkInterception(frame, info, outputPath, fast)).toBe(true);
+            expect(await fs.readFile(outputPath, 'utf8')).toBe('bytes');
+        });
+
+        test('gives up when no file is fetched or the element is missing', async () => {
+            const noFile = createFakeFrame([createResponse('https://x/page', { 'content-type': 'text/html' })]);
+            expect(await tryNetworkInterception(noFile, info, outputPath, fast)).toBe(false);
+            expect(noFile.context.listenerCount('response')).toBe(0);
+
+            const noElement = createFakeFrame([], { hasElement: false });
+            expect(await tryNetworkInterception(noElement, info, outputPath, fast)).toBe(false);
+            expect(await fs.pathExists(outputPath)).toBe(false);
+        });
+
+        test('reads blob URLs in the frame', async () => {
+            const frame = createFakeFrame([], { hasElement: false, blob: 'blob-bytes' });
+            const blobInfo = { ...info, src: 'blob:https://x/1234' };
+            expect(await tryNetworkInterception(frame, blobInfo, outputPath, fast)).toBe(true);
+            expect(await fs.readFile(outputPath, 'utf8')).toBe('blob-bytes');
+        });
+    });
+});
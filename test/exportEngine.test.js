@@ -0,0 +1,280 @@
+jest.mock('../src/navigator');
+jest.mock('../src/scrapers');
+jest.mock('../src/readiness');
+
+const fs = require('fs-extra');
+const path = require('path');
+const navigator = require('../src/navigator');
+const scrapers = require('../src/scrapers');
+const readiness = require('../src/readiness');
+const { ExportEngine } = require('../src/exportEngine');
+const { CHECKPOINT_FILE } = require('../src/checkpoint');
+const { ExportManifest } = require('../src/manifest');
+
+describe('ExportEngine', () => {
+    describe('runAll', () => {
+        let browser;
+
+        beforeEach(() => {
+            browser = { close: jest.fn() };
+            navigator.listNotebooks.mockResolvedValue({
+                notebooks: [{ id: 'a', name: 'Work' }, { id: 'b', name: 'Personal' }, { id: 'c', name: 'Work Archive' }],
+                browser,
+                page: {},
+                scrapeTarget: {}
+            });
+            navigator.loadNotebookList.mockResolvedValue({ notebooks: [], scrapeTarget: {} });
+            navigator.openNotebook.mockResolvedValue();
+        });
+
+        afterEach(() => jest.resetAllMocks());
+
+        function createEngine(all) {
+            const engine = new ExportEngine({ all });
+            engine._findContentFrame = async () => ({});
+            engine.exportNotebook = jest.fn(async (_frame, name) => {
+                if (name === 'Personal') throw new Error('boom');
+                return { success: true, totalPages: 2, totalAssets: 1, unchangedPages: 0, outputDir: `/out/${name}` };
+            });
+            return engine;
+        }
+
+        test('exports every notebook in one session and sums the results', async () => {
+            const engine = createEngine(true);
+            const result = await engine.runAll();
+
+            expect(navigator.listNotebooks).toHaveBeenCalledTimes(1);
+            expect(navigator.loadNotebookList).toHaveBeenCalledTimes(2);
+            expect(browser.close).toHaveBeenCalledTimes(1);
+            expect(result.notebooks.map(r => [r.notebook, r.success])).toEqual([
+                ['Work', true], ['Personal', false], ['Work Archive', true]
+            ]);
+            expect(result.success).toBe(false);
+            expect(result.totalPages).toBe(4);
+        });
+
+        test('only exports notebooks matching the regex', async () => {
+            const engine = createEngine('^work');
+            const result = await engine.runAll();
+
+            expect(engine.exportNotebook.mock.calls.map(call => call[1])).toEqual(['Work', 'Work Archive']);
+            expect(result.success).toBe(true);
+        });
+    });
+
+    describe('notebook traversal', () => {
+        let exportDir;
+        let notebook;
+
+        /**
+         * Fake OneNote: the scrapers answer from `notebook`, following the
+         * section and page the engine selects.
+         */
+        beforeEach(async () => {
+            exportDir = path.join(__dirname, '..', '.test-temp', `engine-${Date.now()}`);
+            notebook = {
+                sections: [{ id: 's1', name: 'Work', type: 'section' }, { id: 's2', name: 'Private', type: 'section' }],
+                pages: {
+                    s1: [{ id: 'p1', name: 'Plan' }, { id: 'p2', name: 'Notes' }],
+                    s2: [{ id: 'p3', name: 'Diary' }]
+                },
+                text: { p1: 'Ship it', p2: 'Remember', p3: 'Dear diary' },
+                locked: new Set(),
+                brokenSections: new Set()
+            };
+            let section = null;
+            let page = null;
+            scrapers.getSections.mockImplementation(async (frame, parentId) => (parentId ? [] : notebook.sections));
+            scrapers.selectSection.mockImplementation(async (frame, id) => { section = id; });
+            scrapers.isSectionLocked.mockImplementation(async () => notebook.locked.has(section));
+            scrapers.getPages.mockImplementation(async () => {
+                if (notebook.brokenSections.has(section)) throw new Error('Target closed');
+                return notebook.pages[section];
+            });
+            scrapers.selectPage.mockImplementation(async (frame, id) => { page = id; });
+            scrapers.getPageContent.mockImplementation(async () => ({
+                title: page, dateTime: '', contentHtml: `<p>${notebook.text[page]}</p>`,
+                images: [], attachments: [], internalLinks: [], videos: [], embeds: [], inks: []
+            }));
+            scrapers.getPageMarkup.mockImplementation(async () => `<p>${notebook.text[page]}</p>`);
+            scrapers.navigateBack.mockResolvedValue(false);
+            readiness.getPageListSignature.mockResolvedValue('');
+            readiness.getCanvasSignature.mockResolvedValue('');
+            readiness.waitForSectionReady.mockResolvedValue(true);
+            readiness.waitForPageReady.mockResolvedValue(true);
+        });
+
+        afterEach(async () => {
+            jest.resetAllMocks();
+            await fs.remove(exportDir);
+        });
+
+        const frame = {
+            waitForSelector: async () => { },
+            waitForTimeout: async () => { },
+            page: () => ({ url: () => 'https://onenote.example/notebook' })
+        };
+
+        async function exportOnce(options = {}, hooks = {}) {
+            const engine = new ExportEngine({ exportDir, ...options }, hooks);
+            const events = [];
+            for (const name of ['section-start', 'section-locked', 'page-saved', 'page-unchanged']) {
+                engine.on(name, (data) => events.push([name, data.name]));
+            }
+            const result = await engine.exportNotebook(frame, 'Notebook');
+            return { result, events };
+        }
+
+        const notePath = (...parts) => path.join(exportDir, 'Notebook', ...parts);
+
+        test('exports every section and page, in order', async () => {
+            const { result, events } = await exportOnce();
+            expect(events).toEqual([
+                ['section-start', 'Work'], ['page-saved', 'Plan'], ['page-saved', 'Notes'],
+                ['section-start', 'Private'], ['page-saved', 'Diary']
+            ]);
+            expect(result).toMatchObject({ success: true, totalPages: 3, unchangedPages: 0 });
+            expect(await fs.readFile(notePath('Work', 'Plan.md'), 'utf8')).toContain('Ship it');
+        });
+
+        test('skips locked sections in headless mode', async () => {
+            notebook.locked.add('s2');
+            const { result, events } = await exportOnce();
+            expect(events.map(([name, page]) => page)).not.toContain('Diary');
+            expect(result.totalPages).toBe(2);
+            expect(await fs.pathExists(notePath('Private [passProtected]'))).toBe(true);
+        });
+
+        test('waits for a locked section to be unlocked in visible mode', async () => {
+            notebook.locked.add('s2');
+            const waitForUnlock = jest.fn(async () => notebook.locked.delete('s2'));
+            const { events } = await exportOnce({ notheadless: true }, { waitForUnlock });
+            expect(waitForUnlock).toHaveBeenCalledTimes(1);
+            expect(events.slice(3)).toEqual([['section-start', 'Private'], ['section-locked', 'Private'], ['page-saved', 'Diary']]);
+        });
+
+        test('skips unchanged pages on the next run and rewrites changed ones', async () => {
+            await exportOnce();
+            notebook.text.p2 = 'Remember the milk';
+            const { result, events } = await exportOnce();
+            expect(events.filter(([name]) => name.startsWith('page-'))).toEqual([
+                ['page-unchanged', 'Plan'], ['page-saved', 'Notes'], ['page-unchanged', 'Diary']
+            ]);
+            expect(result).toMatchObject({ totalPages: 1, unchangedPages: 2, deletedPages: [] });
+            expect(await fs.readFile(notePath('Work', 'Notes.md'), 'utf8')).toContain('Remember the milk');
+        });
+
+        test('does not scrape pages whose markup did not change', async () => {
+            await exportOnce();
+            notebook.text.p2 = 'Remember the milk';
+            scrapers.getPageContent.mockClear();
+            await exportOnce();
+            expect(scrapers.getPageContent).toHaveBeenCalledTimes(1);
+
+            // Without a readable markup the content hash still catches unchanged pages
+            scrapers.getPageMarkup.mockResolvedValue(null);
+            const { result } = await exportOnce();
+            expect(result).toMatchObject({ totalPages: 0, unchangedPages: 3 });
+        });
+
+        test('saves the manifest in batches rather than after every page', async () => {
+            const save = jest.spyOn(ExportManifest.prototype, 'save');
+            try {
+                await exportOnce();
+                expect(save).toHaveBeenCalledTimes(1);
+            } finally {
+                save.mockRestore();
+            }
+        });
+
+        test('rewrites every page when an output setting changes', async () => {
+            await exportOnce();
+            const { result } = await exportOnce({ timeZone: 'Europe/Paris' });
+            expect(result).toMatchObject({ totalPages: 3, unchangedPages: 0 });
+        });
+
+        test('resumes an interrupted export after the finished sections', async () => {
+            notebook.brokenSections.add('s2');
+            await expect(exportOnce()).rejects.toThrow('Target closed');
+
+            notebook.brokenSections.clear();
+            scrapers.selectSection.mockClear();
+            const { result, events } = await exportOnce({ resume: true });
+            expect(events).toEqual([['section-start', 'Private'], ['page-saved', 'Diary']]);
+            expect(scrapers.selectSection.mock.calls.map(call => call[1])).not.toContain('s1');
+            expect(result).toMatchObject({ totalPages: 3, deletedPages: [] });
+        });
+
+        /** Makes the given scraper throw for one id, and behave normally otherwise. */
+        function failOn(scraper, failingId, message) {
+            const original = scraper.getMockImplementation();
+            scraper.mockImplementation(async (frame, id) => {
+                if (id === failingId) throw new Error(message);
+                return original(frame, id);
+            });
+            return () => scraper.mockImplementation(original);
+        }
+
+        test('stops on a closed browser while selecting a page and resumes from it', async () => {
+            const restore = failOn(scrapers.selectPage, 'p2', 'Target page, context or browser has been closed');
+            await expect(exportOnce()).rejects.toThrow('has been closed');
+            expect(await fs.pathExists(notePath(CHECKPOINT_FILE))).toBe(true);
+
+            restore();
+            const { result, events } = await exportOnce({ resume: true });
+            expect(events).toEqual([['section-start', 'Work'], ['page-saved', 'Notes'], ['section-start', 'Private'], ['page-saved', 'Diary']]);
+            expect(result).toMatchObject({ success: true, totalPages: 3 });
+            expect(await fs.pathExists(notePath(CHECKPOINT_FILE))).toBe(false);
+        });
+
+        test('stops on a closed browser while selecting a section', async () => {
+            failOn(scrapers.selectSection, 's2', 'Target closed');
+            await expect(exportOnce()).rejects.toThrow('Target closed');
+            expect(await fs.pathExists(notePath(CHECKPOINT_FILE))).toBe(true);
+        });
+
+        test('keeps failed sections and pages for --resume', async () => {
+            const restoreSection = failOn(scrapers.selectSection, 's2', 'Section not found');
+            const restorePage = failOn(scrapers.selectPage, 'p1', 'Page not found');
+            const { result, events } = await exportOnce();
+            expect(events).toEqual([['section-start', 'Work'], ['page-saved', 'Notes']]);
+            expect(result).toMatchObject({ success: false, failedItems: 2, totalPages: 1 });
+            expect(await fs.pathExists(notePath(CHECKPOINT_FILE))).toBe(true);
+
+            restoreSection();
+            restorePage();
+            const resumed = await exportOnce({ resume: true });
+            expect(resumed.events).toEqual([
+                ['section-start', 'Work'], ['page-saved', 'Plan'], ['section-start', 'Private'], ['page-saved', 'Diary']
+            ]);
+            expect(resumed.result).toMatchObject({ success: true, failedItems: 0, totalPages: 3 });
+        });
+
+        test('does not report the pages of failed sections as deleted', async () => {
+            await exportOnce();
+            failOn(scrapers.selectSection, 's2', 'Section not found');
+            failOn(scrapers.selectPage, 'p1', 'Page not found');
+            const { result } = await exportOnce();
+            expect(result).toMatchObject({ success: false, deletedPages: [] });
+            const manifest = await fs.readJson(notePath('.onenote-export.json'));
+            expect(Object.keys(manifest.pages).sort()).toEqual(['p1', 'p2', 'p3']);
+        });
+
+        test('does not report the pages filtered out before an interruption as deleted', async () => {
+            await exportOnce();
+            const restore = failOn(scrapers.selectSection, 's2', 'Target closed');
+            await expect(exportOnce({ exclude: ['Work/Notes'] })).rejects.toThrow('Target closed');
+
+            restore();
+            const { result } = await exportOnce({ exclude: ['Work/Notes'], resume: true });
+            expect(result).toMatchObject({ success: true, deletedPages: [] });
+        });
+
+        test('only exports the pages the filters let through', async () => {
+            const { result, events } = await exportOnce({ include: ['Work/**'], exclude: ['Work/Notes'] });
+            expect(events).toEqual([['section-start', 'Work'], ['page-saved', 'Plan']]);
+            expect(result).toMatchObject({ totalPages: 1, filteredPages: 1 });
+            expect(await fs.pathExists(notePath('Private'))).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,67 @@
+const { createPathFilter, globToRegExp, parsePatternList } = require('../src/filters');
+
+describe('Filters', () => {
+    describe('globToRegExp', () => {
+        test('* does not cross folders', () => {
+            expect(globToRegExp('Projects/*').test('Projects/Alpha')).toBe(true);
+            expect(globToRegExp('Projects/*').test('Projects/Alpha/Page')).toBe(false);
+        });
+
+        test('** matches any depth, including none', () => {
+            const re = globToRegExp('Projects/**');
+            expect(re.test('Projects')).toBe(true);
+            expect(re.test('Projects/Alpha/Page')).toBe(true);
+            expect(globToRegExp('**/Archive*').test('Archive 2020')).toBe(true);
+            expect(globToRegExp('**/Archive*').test('Work/Old/Archive 2020')).toBe(true);
+            expect(globToRegExp('a/**/b').test('a/b')).toBe(true);
+            expect(globToRegExp('a/**/b').test('a/x/y/b')).toBe(true);
+        });
+
+        test('is case-insensitive and escapes regex characters', () => {
+            expect(globToRegExp('notes (old)').test('Notes (Old)')).toBe(true);
+            expect(globToRegExp('v1.0').test('v1x0')).toBe(false);
+        });
+    });
+
+    describe('createPathFilter', () => {
+        test('is inactive and lets everything through without patterns', () => {
+            const filter = createPathFilter();
+            expect(filter.isActive).toBe(false);
+            expect(filter.shouldVisit('Anything')).toBe(true);
+            expect(filter.shouldExport('Anything/Page')).toBe(true);
+        });
+
+        test('include limits the traversal to matching folders', () => {
+            const filter = createPathFilter({ include: ['Projects/**'] });
+            expect(filter.shouldVisit('Projects')).toBe(true);
+            expect(filter.shouldVisit('Projects/Alpha')).toBe(true);
+            expect(filter.shouldVisit('Personal')).toBe(false);
+            expect(filter.shouldExport('Projects/Alpha/Page')).toBe(true);
+            expect(filter.shouldExport('Personal/Diary/Page')).toBe(false);
+        });
+
+        test('include of a deep section still opens its parent groups', () => {
+            const filter = createPathFilter({ include: ['Work/Clients/Acme'] });
+            expect(filter.shouldVisit('Work')).toBe(true);
+            expect(filter.shouldVisit('Work/Clients')).toBe(true);
+            expect(filter.shouldVisit('Work/Internal')).toBe(false);
+            expect(filter.shouldExport('Work/Clients/Acme/Kickoff')).toBe(true);
+        });
+
+        test('exclude prunes matching folders and pages', () => {
+            const filter = createPathFilter({ include: ['Projects/**'], exclude: ['**/Archive*'] });
+            expect(filter.shouldVisit('Projects/Archive 2020')).toBe(false);
+            expect(filter.shouldExport('Projects/Archive 2020/Page')).toBe(false);
+            expect(filter.shouldExport('Projects/Alpha/Archive notes')).toBe(false);
+            expect(filter.shouldExport('Projects/Alpha/Notes')).toBe(true);
+        });
+    });
+
+    describe('parsePatternList', () => {
+        test('splits comma and newline separated lists', () => {
+            expect(parsePatternList('Projects/**, **/Archive*\nWork')).toEqual(['Projects/**', '**/Archive*', 'Work']);
+            expect(parsePatternList('')).toEqual([]);
+            expect(parsePatternList([' a ', ''])).toEqual(['a']);
+        });
+    });
+});
@@ -0,0 +1,59 @@
+const { resolveFrontmatterFields, buildFrontmatter, FRONTMATTER_FIELDS } = require('../src/frontmatter');
+
+const meta = {
+    title: 'Kickoff: "Acme"',
+    created: '2024-03-05T10:23:00+01:00',
+    dateTime: 'Tuesday, March 5, 2024 10:23 AM',
+    notebook: 'Work',
+    groups: ['Clients', 'Active'],
+    section: 'Acme',
+    parent: '[[Clients/Active/Acme/Kickoff]]',
+    pageId: '{ABC}{1}',
+    url: 'https://onedrive.live.com/edit.aspx?id=1'
+};
+
+describe('Frontmatter', () => {
+    describe('resolveFrontmatterFields', () => {
+        test('defaults to every field', () => {
+            expect(resolveFrontmatterFields().map(([field]) => field)).toEqual(FRONTMATTER_FIELDS);
+        });
+
+        test('accepts a list, none, or a rename map', () => {
+            expect(resolveFrontmatterFields('title, created')).toEqual([['title', 'title'], ['created', 'created']]);
+            expect(resolveFrontmatterFields('none')).toEqual([]);
+            expect(resolveFrontmatterFields(false)).toEqual([]);
+            expect(resolveFrontmatterFields({ created: 'date' })).toEqual([['created', 'date']]);
+        });
+
+        test('rejects unknown fields', () => {
+            expect(() => resolveFrontmatterFields('title,author')).toThrow('author');
+        });
+    });
+
+    describe('buildFrontmatter', () => {
+        test('writes the selected fields as YAML', () => {
+            expect(buildFrontmatter(meta, resolveFrontmatterFields())).toBe([
+                '---',
+                'title: "Kickoff: \\"Acme\\""',
+                'created: 2024-03-05T10:23:00+01:00',
+                'notebook: "Work"',
+                'group: "Clients/Active"',
+                'section: "Acme"',
+                'parent: "[[Clients/Active/Acme/Kickoff]]"',
+                'onenote_id: "{ABC}{1}"',
+                'source: "https://onedrive.live.com/edit.aspx?id=1"',
+                '---',
+                ''
+            ].join('\n'));
+        });
+
+        test('skips empty values and keeps the raw date when unparsable', () => {
+            const fm = buildFrontmatter({ ...meta, groups: [], created: null, dateTime: 'someday' }, resolveFrontmatterFields('group,created'));
+            expect(fm).toBe('---\ncreated: "someday"\n---\n');
+        });
+
+        test('is empty when disabled', () => {
+            expect(buildFrontmatter(meta, [])).toBe('');
+        });
+    });
+});
@@ -0,0 +1,57 @@
+const { sniffImageType, imageSize, imageExtension, localImageName } = require('../src/imageFormats');
+
+const bytes = (...values) => Buffer.from(values);
+
+describe('Image formats', () => {
+    test.each([
+        ['png', bytes(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a)],
+        ['jpg', bytes(0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10)],
+        ['gif', Buffer.from('GIF89a\x01\x00', 'latin1')],
+        ['webp', Buffer.from('RIFF\x24\x00\x00\x00WEBPVP8 ', 'latin1')],
+        ['heic', Buffer.from('\x00\x00\x00\x18ftypheic\x00\x00\x00\x00', 'latin1')],
+        ['avif', Buffer.from('\x00\x00\x00\x1cftypavif\x00\x00\x00\x00', 'latin1')],
+        ['svg', Buffer.from('\uFEFF<?xml version="1.0"?>\n<!-- drawn -->\n<svg xmlns="http://www.w3.org/2000/svg"></svg>')],
+        ['svg', Buffer.from('  <svg width="10"/>')]
+    ])('sniffs %s', (extension, buffer) => {
+        expect(sniffImageType(buffer)).toBe(extension);
+    });
+
+    test('does not take other content for an image', () => {
+        expect(sniffImageType(Buffer.from('<html><body>Sign in</body></html>'))).toBeNull();
+        expect(sniffImageType(Buffer.from('\x00\x00\x00\x18ftypmp42', 'latin1'))).toBeNull();
+        expect(sniffImageType(bytes(0xff))).toBeNull();
+        expect(sniffImageType(null)).toBeNull();
+    });
+
+    test('reads the size of WebP images', () => {
+        const lossy = Buffer.alloc(30);
+        lossy.write('RIFF', 0, 'latin1');
+        lossy.write('WEBPVP8 ', 8, 'latin1');
+        lossy.writeUInt16LE(1920, 26);
+        lossy.writeUInt16LE(1080, 28);
+        expect(imageSize(lossy)).toEqual({ width: 1920, height: 1080 });
+
+        const extended = Buffer.alloc(30);
+        extended.write('RIFF', 0, 'latin1');
+        extended.write('WEBPVP8X', 8, 'latin1');
+        extended.writeUIntLE(799, 24, 3);
+        extended.writeUIntLE(599, 27, 3);
+        expect(imageSize(extended)).toEqual({ width: 800, height: 600 });
+        expect(imageSize(Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1'))).toBeNull();
+    });
+
+    test('falls back to the MIME type, then to png', () => {
+        const unknown = Buffer.from('????????');
+        expect(imageExtension(bytes(0xff, 0xd8, 0xff, 0xdb), 'image/png')).toBe('jpg');
+        expect(imageExtension(unknown, 'image/jpeg; charset=binary')).toBe('jpg');
+        expect(imageExtension(unknown, 'Image/HEIC')).toBe('heic');
+        expect(imageExtension(unknown, 'application/octet-stream')).toBe('png');
+        expect(imageExtension(unknown)).toBe('png');
+    });
+
+    test('localImageName keeps the extension and defaults to .png', () => {
+        expect(localImageName('Trip_img_1.jpeg')).toBe('Trip_img_1.jpeg');
+        expect(localImageName('Trip_img_1')).toBe('Trip_img_1.png');
+        expect(localImageName('v1.2 notes_img_3')).toBe('v1.2 notes_img_3.png');
+    });
+});
@@ -0,0 +1,56 @@
+const { resolveImageOptions, fitWithin, planImage } = require('../src/imageProcessing');
+
+/** PNG signature and IHDR chunk of a width × height image. */
+function pngHeader(width, height) {
+    const buffer = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+    buffer.writeUInt32BE(13, 8);
+    buffer.write('IHDR', 12, 'latin1');
+    buffer.writeUInt32BE(width, 16);
+    buffer.writeUInt32BE(height, 20);
+    return buffer;
+}
+
+/** JPEG with an APP0 segment then a baseline frame header. */
+function jpegHeader(width, height) {
+    const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x04, 0x00, 0x00]);
+    const sof = Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08, height >> 8, height & 0xff, width >> 8, width & 0xff, 0x03]);
+    return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, sof, Buffer.alloc(16)]);
+}
+
+describe('Image processing', () => {
+    test('resolveImageOptions is off by default and validates values', () => {
+        expect(resolveImageOptions({})).toBeNull();
+        expect(resolveImageOptions({ imageWebp: false, imageQuality: '' })).toBeNull();
+        expect(resolveImageOptions({ imageMaxWidth: '1600', imageQuality: 80 }))
+            .toEqual({ maxWidth: 1600, maxHeight: null, quality: 80, webp: false });
+        expect(() => resolveImageOptions({ imageQuality: 0 })).toThrow('Invalid image quality "0"');
+        expect(() => resolveImageOptions({ imageMaxHeight: 'big' })).toThrow('Invalid image max height "big"');
+    });
+
+    test('fitWithin keeps proportions and never upscales', () => {
+        expect(fitWithin({ width: 4000, height: 3000 }, 1600, null)).toEqual({ width: 1600, height: 1200 });
+        expect(fitWithin({ width: 4000, height: 3000 }, 1600, 600)).toEqual({ width: 800, height: 600 });
+        expect(fitWithin({ width: 800, height: 100 }, 1600, 1600)).toEqual({ width: 800, height: 100 });
+    });
+
+    test('planImage downscales, converts and recompresses', () => {
+        const settings = resolveImageOptions({ imageMaxWidth: 1000, imageWebp: true });
+        expect(planImage(pngHeader(2000, 500), 'png', settings)).toEqual({
+            source: { width: 2000, height: 500 }, width: 1000, height: 250, format: 'webp', quality: 90, resize: true
+        });
+        expect(planImage(jpegHeader(640, 480), 'jpg', settings)).toBeNull();
+        expect(planImage(jpegHeader(640, 480), 'jpg', resolveImageOptions({ imageQuality: 70 })))
+            .toMatchObject({ width: 640, height: 480, format: 'jpg', quality: 70, resize: false });
+        // Lossless PNG is not "recompressed" by a quality setting
+        expect(planImage(pngHeader(640, 480), 'png', resolveImageOptions({ imageQuality: 70 }))).toBeNull();
+    });
+
+    test('planImage leaves other formats and unreadable images alone', () => {
+        const settings = resolveImageOptions({ imageMaxWidth: 10, imageWebp: true });
+        expect(planImage(Buffer.from('GIF89a\x20\x03\x58\x02', 'latin1'), 'gif', settings)).toBeNull();
+        expect(planImage(Buffer.from('<svg width="999"/>'), 'svg', settings)).toBeNull();
+        expect(planImage(pngHeader(100, 100).subarray(0, 20), 'png', settings)).toBeNull();
+        expect(planImage(pngHeader(100, 100), 'png', null)).toBeNull();
+    });
+});
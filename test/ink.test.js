@@ -0,0 +1,27 @@
+const { resolveInkFormat, standaloneSvg } = require('../src/ink');
+
+describe('Ink', () => {
+    test('resolveInkFormat defaults to svg and rejects unknown formats', () => {
+        expect(resolveInkFormat()).toBe('svg');
+        expect(resolveInkFormat('png')).toBe('png');
+        expect(() => resolveInkFormat('gif')).toThrow('gif');
+    });
+
+    describe('standaloneSvg', () => {
+        test('adds the namespace, size and viewBox of inline SVG', () => {
+            expect(standaloneSvg('<svg class="ink"><path d="M0 0L10 10" stroke="#000"/></svg>', { width: 120, height: 80 })).toBe(
+                '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                '<svg xmlns="http://www.w3.org/2000/svg" width="120" height="80" viewBox="0 0 120 80" class="ink"><path d="M0 0L10 10" stroke="#000"/></svg>\n'
+            );
+        });
+
+        test('keeps attributes that are already there', () => {
+            const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 5 5" width="5" height="5"></svg>';
+            expect(standaloneSvg(svg, { width: 50, height: 50 })).toBe(`<?xml version="1.0" encoding="UTF-8"?>\n${svg}\n`);
+        });
+
+        test('rejects markup that is not an <svg>', () => {
+            expect(() => standaloneSvg('<canvas></canvas>')).toThrow('svg');
+        });
+    });
+});
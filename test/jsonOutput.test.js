@@ -0,0 +1,46 @@
+const { printJson, notebookListJson, authStatusJson } = require('../src/jsonOutput');
+const logger = require('../src/utils/logger');
+
+describe('JSON output', () => {
+    test('list keeps the name, id and url of each notebook', () => {
+        const notebooks = [
+            { name: 'Work', id: 'nb-1', url: 'https://onenote.example/work', element: {} },
+            { name: 'Shared', url: 'https://onenote.example/shared' }
+        ];
+        expect(notebookListJson(notebooks)).toEqual([
+            { name: 'Work', id: 'nb-1', url: 'https://onenote.example/work' },
+            { name: 'Shared', id: null, url: 'https://onenote.example/shared' }
+        ]);
+        expect(notebookListJson([])).toEqual([]);
+    });
+
+    test('check reports the account of a valid session only', () => {
+        const meta = { email: 'me@example.com', loginTime: '2024-05-01T10:00:00.000Z' };
+        expect(authStatusJson(true, meta)).toEqual({ authenticated: true, email: 'me@example.com', loginTime: '2024-05-01T10:00:00.000Z' });
+        expect(authStatusJson(true, null)).toEqual({ authenticated: true, email: null, loginTime: null });
+        expect(authStatusJson(false, meta)).toEqual({ authenticated: false, email: null, loginTime: null });
+    });
+
+    test('prints parseable JSON on its own line', () => {
+        const chunks = [];
+        printJson({ authenticated: false }, { write: (chunk) => chunks.push(chunk) });
+        expect(chunks).toHaveLength(1);
+        expect(chunks[0].endsWith('\n')).toBe(true);
+        expect(JSON.parse(chunks[0])).toEqual({ authenticated: false });
+    });
+
+    test('logger.useStderr keeps log lines off stdout', () => {
+        const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+        const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+        try {
+            logger.useStderr();
+            logger.info('Launching browser...');
+            logger.warn('Slow network');
+            expect(stdout).not.toHaveBeenCalled();
+            expect(stderr).toHaveBeenCalledTimes(2);
+        } finally {
+            stdout.mockRestore();
+            stderr.mockRestore();
+        }
+    });
+});
@@ -210,6 +210,41 @@ describe('Link Resolver - resolveInternalLinks', () => {
         });
     });
 
+    describe('Canvas Files', () => {
+        test('resolves links in the canvas of a page', async () => {
+            const sectionDir = path.join(outputBase, 'Section1');
+            await fs.ensureDir(sectionDir);
+            const page1Path = path.join(sectionDir, 'Page1.md');
+            const canvasPath = path.join(sectionDir, 'Page1.canvas');
+            const page2Path = path.join(sectionDir, 'Page "2".md');
+
+            const text = 'See [[Page 2]]<!-- onenote-link:link_0 --> and [[Gone]]<!-- onenote-link:link_1 -->';
+            await fs.writeFile(page1Path, text);
+            await fs.writeFile(canvasPath, JSON.stringify({ nodes: [{ id: 'block-1', type: 'text', text }], edges: [] }));
+            await fs.writeFile(page2Path, 'Target');
+
+            const pageIdMap = {
+                '{page-1-id}': {
+                    path: page1Path,
+                    canvasPath,
+                    isDir: false,
+                    internalLinks: [
+                        { id: 'link_0', href: 'onenote:page-id={page-2-id}', text: 'Page 2' },
+                        { id: 'link_1', href: 'onenote:page-id={missing}', text: 'Gone' }
+                    ]
+                },
+                '{page-2-id}': { path: page2Path, isDir: false, internalLinks: [] }
+            };
+
+            await resolveInternalLinks(pageIdMap, outputBase);
+
+            const expected = 'See [[Section1/Page "2"|Page 2]] and [[Gone]]';
+            expect(await fs.readFile(page1Path, 'utf8')).toBe(expected);
+            const canvas = JSON.parse(await fs.readFile(canvasPath, 'utf8'));
+            expect(canvas.nodes[0].text).toBe(expected);
+        });
+    });
+
     describe('Self-referencing Links', () => {
         test('ignores links from a page to itself', async () => {
             const sectionDir = path.join(outputBase, 'Section1');
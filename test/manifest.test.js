@@ -0,0 +1,176 @@
+const { ExportManifest, hashPageContent, hashPageMarkup, stableUrl, MANIFEST_FILE } = require('../src/manifest');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Export Manifest', () => {
+    let testDir;
+    let outputBase;
+
+    beforeEach(async () => {
+        testDir = path.join(__dirname, '..', '.test-temp', `test-${Date.now()}`);
+        outputBase = path.join(testDir, 'notebook');
+        await fs.ensureDir(outputBase);
+    });
+
+    afterEach(async () => {
+        await fs.remove(testDir);
+    });
+
+    describe('hashPageContent', () => {
+        test('ignores resource URLs that change between sessions', () => {
+            const a = { title: 'T', dateTime: 'D', contentHtml: '<img src="https://x/getimage.ashx?token=1" data-local-src="img_0">' };
+            const b = { title: 'T', dateTime: 'D', contentHtml: '<img src="https://x/getimage.ashx?token=2" data-local-src="img_0">' };
+            expect(hashPageContent(a)).toBe(hashPageContent(b));
+        });
+
+        test('changes when an image or link target changes', () => {
+            const image = (src) => ({ title: 'T', dateTime: 'D', contentHtml: `<img src="${src}" data-local-src="img_0">` });
+            expect(hashPageContent(image('https://x/getimage.ashx?ImageKey=a&amp;access_token=1')))
+                .not.toBe(hashPageContent(image('https://x/getimage.ashx?ImageKey=b&amp;access_token=1')));
+
+            const link = (href) => ({ title: 'T', dateTime: 'D', contentHtml: `<p><a href="${href}">Docs</a></p>` });
+            expect(hashPageContent(link('https://example.com/old'))).not.toBe(hashPageContent(link('https://example.com/new')));
+        });
+
+        test('changes when the text changes', () => {
+            const a = { title: 'T', dateTime: 'D', contentHtml: '<p>one</p>' };
+            const b = { title: 'T', dateTime: 'D', contentHtml: '<p>two</p>' };
+            expect(hashPageContent(a)).not.toBe(hashPageContent(b));
+        });
+
+        test('changes when ink strokes change', () => {
+            const page = { title: 'T', dateTime: 'D', contentHtml: '<img data-local-ink="ink_0">' };
+            const a = { ...page, inks: [{ id: 'ink_0', svg: '<svg><path d="M0 0L1 1"/></svg>' }] };
+            const b = { ...page, inks: [{ id: 'ink_0', svg: '<svg><path d="M0 0L2 2"/></svg>' }] };
+            expect(hashPageContent(a)).not.toBe(hashPageContent(b));
+            expect(hashPageContent({ ...page, inks: [] })).toBe(hashPageContent(page));
+        });
+
+        test('changes when a block moves, for the canvas export', () => {
+            const page = { title: 'T', dateTime: 'D', contentHtml: '<p>one</p>' };
+            const at = (x) => ({ ...page, layout: [{ id: 'block_0', type: 'outline', x, y: 0, width: 100, height: 50 }] });
+            expect(hashPageContent(at(0))).not.toBe(hashPageContent(at(200)));
+            expect(hashPageContent({ ...page, layout: [] })).toBe(hashPageContent(page));
+        });
+    });
+
+    describe('stableUrl', () => {
+        test('drops session parameters and keeps the rest', () => {
+            expect(stableUrl('https://x/getimage.ashx?ImageKey=a&amp;access_token=t&amp;usid=u')).toBe('https://x/getimage.ashx?ImageKey=a');
+            expect(stableUrl('https://acct.blob.core.windows.net/c/f.png?sv=1&se=2&sig=3')).toBe('https://acct.blob.core.windows.net/c/f.png');
+            expect(stableUrl('https://example.com/page?id=4#part')).toBe('https://example.com/page?id=4#part');
+            expect(stableUrl('blob:https://x/1234-5678')).toBe('blob:');
+            expect(stableUrl('#anchor')).toBe('#anchor');
+        });
+
+        test('keeps parameters that only contain a session word', () => {
+            const url = 'https://example.com/search?author=ann&design=2&signal=on&sessions=3&X-Amz-Signature=s';
+            expect(stableUrl(url)).toBe('https://example.com/search?author=ann&design=2&signal=on&sessions=3');
+        });
+    });
+
+    describe('load / save', () => {
+        test('starts empty when no manifest exists', async () => {
+            const manifest = await ExportManifest.load(outputBase);
+            expect(manifest.pages).toEqual({});
+            expect(manifest.lastRun).toBeNull();
+        });
+
+        test('round-trips pages with paths relative to the notebook folder', async () => {
+            const pagePath = path.join(outputBase, 'Section', 'Page.md');
+            const manifest = await ExportManifest.load(outputBase);
+            manifest.record('{page-1}', pagePath, 'abc');
+            await manifest.save();
+
+            const raw = await fs.readJson(path.join(outputBase, MANIFEST_FILE));
+            expect(raw.pages['{page-1}'].path).toBe('Section/Page.md');
+            expect(raw.pages['{page-1}'].hash).toBe('abc');
+
+            const reloaded = await ExportManifest.load(outputBase);
+            expect(reloaded.pages['{page-1}'].hash).toBe('abc');
+            expect(reloaded.lastRun).not.toBeNull();
+        });
+
+        test('keeps the asset index', async () => {
+            const manifest = await ExportManifest.load(outputBase);
+            manifest.assets['f00d'] = 'Section/assets/Page_img_1.png';
+            await manifest.save();
+            expect((await ExportManifest.load(outputBase)).assets).toEqual({ f00d: 'Section/assets/Page_img_1.png' });
+        });
+
+        test('ignores a corrupt manifest', async () => {
+            await fs.writeFile(path.join(outputBase, MANIFEST_FILE), '{not json');
+            const manifest = await ExportManifest.load(outputBase);
+            expect(manifest.pages).toEqual({});
+        });
+    });
+
+    describe('isUnchanged', () => {
+        test('is true only for same hash, same path and existing file', async () => {
+            const pagePath = path.join(outputBase, 'Page.md');
+            await fs.writeFile(pagePath, 'content');
+
+            const manifest = await ExportManifest.load(outputBase);
+            manifest.record('{page-1}', pagePath, 'abc');
+
+            expect(await manifest.isUnchanged('{page-1}', 'abc', pagePath)).toBe(true);
+            expect(await manifest.isUnchanged('{page-1}', 'def', pagePath)).toBe(false);
+            expect(await manifest.isUnchanged('{page-1}', 'abc', path.join(outputBase, 'Other.md'))).toBe(false);
+            expect(await manifest.isUnchanged('{page-2}', 'abc', pagePath)).toBe(false);
+
+            await fs.remove(pagePath);
+            expect(await manifest.isUnchanged('{page-1}', 'abc', pagePath)).toBe(false);
+        });
+    });
+
+    describe('hashPageMarkup', () => {
+        test('ignores session tokens but not content or settings', () => {
+            const markup = (token, text) => `<img src="https://x/getimage.ashx?ImageKey=a&amp;access_token=${token}"><p>${text}</p>`;
+            expect(hashPageMarkup(markup(1, 'Hi'))).toBe(hashPageMarkup(markup(2, 'Hi')));
+            expect(hashPageMarkup(markup(1, 'Hi'))).not.toBe(hashPageMarkup(markup(1, 'Hello')));
+            expect(hashPageMarkup(markup(1, 'Hi'), 'a')).not.toBe(hashPageMarkup(markup(1, 'Hi'), 'b'));
+        });
+    });
+
+    describe('isMarkupUnchanged', () => {
+        test('needs a recorded markup hash, the same path and the file', async () => {
+            const pagePath = path.join(outputBase, 'Page.md');
+            await fs.writeFile(pagePath, 'content');
+
+            const manifest = await ExportManifest.load(outputBase);
+            manifest.record('{page-1}', pagePath, 'abc', 'markup');
+            manifest.record('{page-2}', pagePath, 'abc');
+
+            expect(await manifest.isMarkupUnchanged('{page-1}', 'markup', pagePath)).toBe(true);
+            expect(await manifest.isMarkupUnchanged('{page-1}', 'other', pagePath)).toBe(false);
+            expect(await manifest.isMarkupUnchanged('{page-1}', 'markup', path.join(outputBase, 'Other.md'))).toBe(false);
+            expect(await manifest.isMarkupUnchanged('{page-2}', 'markup', pagePath)).toBe(false);
+        });
+    });
+
+    describe('getDeleted', () => {
+        test('reports pages of the previous run that were not seen', async () => {
+            const first = await ExportManifest.load(outputBase);
+            first.record('{kept}', path.join(outputBase, 'Kept.md'), 'a');
+            first.record('{gone}', path.join(outputBase, 'Gone.md'), 'b');
+            await first.save();
+
+            const second = await ExportManifest.load(outputBase);
+            second.touch('{kept}');
+
+            expect(second.getDeleted()).toEqual([{ id: '{gone}', path: 'Gone.md' }]);
+        });
+
+        test('touchUnder keeps pages of a skipped section', async () => {
+            const first = await ExportManifest.load(outputBase);
+            first.record('{locked}', path.join(outputBase, 'Secret', 'Page.md'), 'a');
+            first.record('{other}', path.join(outputBase, 'SecretNotes', 'Page.md'), 'b');
+            await first.save();
+
+            const second = await ExportManifest.load(outputBase);
+            second.touchUnder(path.join(outputBase, 'Secret'));
+
+            expect(second.getDeleted().map(p => p.id)).toEqual(['{other}']);
+        });
+    });
+});
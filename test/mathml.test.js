@@ -0,0 +1,36 @@
+const TurndownService = require('turndown');
+const { mathmlToLatex } = require('../src/mathml');
+
+// Runs the converter on Turndown's own DOM, as the Markdown converter does
+const latexOf = (inner) => {
+    let latex;
+    const td = new TurndownService();
+    td.addRule('capture', {
+        filter: (node) => node.nodeName.toLowerCase() === 'math',
+        replacement: (content, node) => { latex = mathmlToLatex(node); return ''; }
+    });
+    td.turndown(`<p><math>${inner}</math></p>`);
+    return latex;
+};
+
+describe('MathML to LaTeX', () => {
+    test.each([
+        ['scripts', '<mi>E</mi><mo>=</mo><mi>m</mi><msup><mi>c</mi><mn>2</mn></msup>', 'E=mc^2'],
+        ['subscripts with groups', '<msub><mi>x</mi><mrow><mi>i</mi><mo>+</mo><mn>1</mn></mrow></msub>', 'x_{i+1}'],
+        ['fractions and greek letters', '<mfrac><msup><mi>π</mi><mn>2</mn></msup><mn>6</mn></mfrac>', '\\frac{\\pi^2}{6}'],
+        ['big operators with limits', '<munderover><mo>∑</mo><mrow><mi>i</mi><mo>=</mo><mn>1</mn></mrow><mi>n</mi></munderover><mi>i</mi>', '\\sum_{i=1}^n i'],
+        ['roots', '<mroot><mi>x</mi><mn>3</mn></mroot><msqrt><mn>2</mn></msqrt>', '\\sqrt[3]{x}\\sqrt{2}'],
+        ['accents', '<mover><mi>v</mi><mo>→</mo></mover>', '\\vec{v}'],
+        ['functions', '<mi>sin</mi><mi>θ</mi>', '\\sin\\theta'],
+        ['fences', '<mfenced><mi>a</mi><mi>b</mi></mfenced>', '\\left( a, b \\right)'],
+        ['matrices', '<mtable><mtr><mtd><mn>1</mn></mtd><mtd><mn>0</mn></mtd></mtr><mtr><mtd><mn>0</mn></mtd><mtd><mn>1</mn></mtd></mtr></mtable>',
+            '\\begin{matrix} 1 & 0 \\\\ 0 & 1 \\end{matrix}'],
+        ['TeX annotations', '<semantics><mi>x</mi><annotation encoding="application/x-tex">\\alpha_1</annotation></semantics>', '\\alpha_1']
+    ])('converts %s', (label, inner, expected) => {
+        expect(latexOf(inner)).toBe(expected);
+    });
+
+    test('returns null for unsupported markup', () => {
+        expect(latexOf('<menclose notation="box"><mi>x</mi></menclose>')).toBeNull();
+    });
+});
@@ -0,0 +1,26 @@
+const { resolveNoteTagMap, noteTagMarkdown, cleanTagLabel } = require('../src/noteTags');
+
+describe('Note tags', () => {
+    test('cleanTagLabel drops the state words screen readers add', () => {
+        expect(cleanTagLabel('To Do tag, checked')).toBe('To Do');
+        expect(cleanTagLabel('Important')).toBe('Important');
+    });
+
+    test('check box tags become tasks, the others #tags', () => {
+        expect(noteTagMarkdown([{ label: 'To Do', checkable: true, checked: false }])).toEqual({ task: '[ ]', tags: [] });
+        expect(noteTagMarkdown([{ label: 'Call back', checked: true }])).toEqual({ task: '[x]', tags: ['#call-back'] });
+        expect(noteTagMarkdown([{ label: 'Remember for later' }, { label: 'Question' }]))
+            .toEqual({ task: null, tags: ['#remember-for-later', '#question'] });
+    });
+
+    test('a mapping renames or drops tags', () => {
+        const map = resolveNoteTagMap({ important: 'priority/high', Idea: false, 'To Do': '#todo' });
+        expect(noteTagMarkdown([{ label: 'Important' }, { label: 'Idea' }], map)).toEqual({ task: null, tags: ['#priority/high'] });
+        expect(noteTagMarkdown([{ label: 'To Do', checkable: true }], map)).toEqual({ task: '[ ]', tags: ['#todo'] });
+    });
+
+    test('rejects malformed mappings', () => {
+        expect(() => resolveNoteTagMap(['Important'])).toThrow('noteTags');
+        expect(() => resolveNoteTagMap({ Important: 1 })).toThrow('Important');
+    });
+});
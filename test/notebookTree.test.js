@@ -0,0 +1,51 @@
+const { selectionFromIds, countPages, summarizeTree, formatTree } = require('../src/notebookTree');
+
+const tree = [
+    {
+        id: 'g-work', name: 'Work', type: 'group', children: [
+            { id: 's-acme', name: 'Acme', type: 'section', locked: false, pages: [{ id: 'p1', name: 'Kickoff' }, { id: 'p2', name: 'Notes' }] },
+            {
+                id: 'g-old', name: 'Old', type: 'group', children: [
+                    { id: 's-2020', name: '2020', type: 'section', locked: false, pages: [{ id: 'p3', name: 'Review' }] }
+                ]
+            }
+        ]
+    },
+    { id: 's-diary', name: 'Diary', type: 'section', locked: true, pages: [] }
+];
+
+describe('Notebook tree', () => {
+    describe('selectionFromIds', () => {
+        test('adds the groups above a picked section', () => {
+            expect(selectionFromIds(tree, ['s-2020'])).toEqual(new Set(['s-2020', 'g-old', 'g-work']));
+        });
+
+        test('expands a picked group to its sections', () => {
+            expect(selectionFromIds(tree, ['g-work'])).toEqual(new Set(['s-acme', 's-2020', 'g-old', 'g-work']));
+        });
+
+        test('is empty when nothing is picked', () => {
+            expect(selectionFromIds(tree, []).size).toBe(0);
+        });
+    });
+
+    test('countPages sums pages of nested sections', () => {
+        expect(countPages(tree)).toBe(3);
+        expect(countPages(tree[0].children[1])).toBe(1);
+    });
+
+    test('summarizeTree counts groups, sections and pages', () => {
+        expect(summarizeTree(tree)).toEqual({ groups: 2, sections: 3, pages: 3 });
+    });
+
+    test('formatTree draws an indented hierarchy with page counts', () => {
+        expect(formatTree(tree)).toEqual([
+            '├── 📁 Work (3 pages)',
+            '│   ├── Acme (2 pages)',
+            '│   └── 📁 Old (1 pages)',
+            '│       └── 2020 (1 pages)',
+            '└── Diary (locked)'
+        ]);
+        expect(formatTree(tree, { pages: true })).toContain('│   │   └── Notes');
+    });
+});
@@ -0,0 +1,36 @@
+const { buildPageHierarchy, orderPrefix, resolveSubpageMode } = require('../src/pageHierarchy');
+
+const page = (id, level) => ({ id, name: id, order: 0, level });
+
+describe('Page hierarchy', () => {
+    describe('buildPageHierarchy', () => {
+        test('links subpages to the closest page above with a lower level', () => {
+            const pages = buildPageHierarchy([
+                page('a', 1), page('a1', 2), page('a1x', 3), page('a2', 2), page('b', 1)
+            ]);
+            expect(pages.map(p => [p.id, p.parentId, p.ancestors])).toEqual([
+                ['a', null, []],
+                ['a1', 'a', ['a']],
+                ['a1x', 'a1', ['a', 'a1']],
+                ['a2', 'a', ['a']],
+                ['b', null, []]
+            ]);
+        });
+
+        test('clamps level jumps and missing levels', () => {
+            const pages = buildPageHierarchy([page('a', undefined), page('b', 3), page('c', 0)]);
+            expect(pages.map(p => [p.level, p.parentId])).toEqual([[1, null], [2, 'a'], [1, null]]);
+        });
+    });
+
+    test('orderPrefix pads to the width of the page count', () => {
+        expect(orderPrefix(0, 5)).toBe('01 ');
+        expect(orderPrefix(41, 120)).toBe('042 ');
+    });
+
+    test('resolveSubpageMode defaults to flat and rejects unknown modes', () => {
+        expect(resolveSubpageMode()).toBe('flat');
+        expect(resolveSubpageMode('folders')).toBe('folders');
+        expect(() => resolveSubpageMode('nested')).toThrow('nested');
+    });
+});
@@ -1,4 +1,6 @@
 const { createMarkdownConverter } = require('../src/parser');
+const { resolveNoteTagMap } = require('../src/noteTags');
+const { resolveStyleOptions } = require('../src/textStyles');
 
 
 describe('Parser - createMarkdownConverter', () => {
@@ -15,6 +17,15 @@ describe('Parser - createMarkdownConverter', () => {
             expect(markdown).toBe('![[assets/my_image.png]]');
         });
 
+        test('keeps the extension of the downloaded image', () => {
+            expect(td.turndown('<img data-local-src="Trip_img_1.jpg">')).toBe('![[assets/Trip_img_1.jpg]]');
+            expect(td.turndown('<img data-local-src="v1.2_img_2">')).toBe('![[assets/v1.2_img_2.png]]');
+        });
+
+        test('embeds images shared with another section by their vault path', () => {
+            expect(td.turndown('<img data-local-src="Work/assets/Kickoff_img_1.png">')).toBe('![[Work/assets/Kickoff_img_1.png]]');
+        });
+
         test('ignores images without data-local-src', () => {
             const html = '<img src="http://example.com/img.png" />';
             const markdown = td.turndown(html);
@@ -44,6 +55,13 @@ describe('Parser - createMarkdownConverter', () => {
         });
     });
 
+    describe('Ink', () => {
+        test('embeds ink drawings saved as assets', () => {
+            const html = '<p>Sketch:</p><img data-local-ink="Meeting_ink_2.svg"><p>End</p>';
+            expect(td.turndown(html)).toBe('Sketch:\n\n![[assets/Meeting_ink_2.svg]]\n\nEnd');
+        });
+    });
+
     describe('Video Embeds', () => {
         test('converts YouTube embeds to watch URLs', () => {
             const html = '<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ" data-embed-id="embed_0"></iframe>';
@@ -80,6 +98,130 @@ describe('Parser - createMarkdownConverter', () => {
         });
     });
 
+    describe('Note Tags', () => {
+        const tagged = (tags) => JSON.stringify(tags).replace(/"/g, '&quot;');
+
+        test('converts check box tags to task items', () => {
+            const html = `<p data-note-tags="${tagged([{ label: 'To Do', checkable: true, checked: false }])}">Buy milk</p>` +
+                `<p data-note-tags="${tagged([{ label: 'To Do', checkable: true, checked: true }])}">Call Bob</p>`;
+            expect(td.turndown(html)).toBe('- [ ] Buy milk\n- [x] Call Bob');
+        });
+
+        test('appends other tags as Obsidian tags', () => {
+            const html = `<p data-note-tags="${tagged([{ label: 'Important' }])}">Deadline Friday</p>`;
+            expect(td.turndown(html)).toBe('Deadline Friday #important');
+        });
+
+        test('keeps list items as list items', () => {
+            const html = `<ul><li data-note-tags="${tagged([{ label: 'To Do', checkable: true, checked: true }])}">Done</li><li>Plain</li></ul>`;
+            expect(td.turndown(html)).toBe('*   [x] Done\n*   Plain');
+        });
+
+        test('moves the tags of <li><p> paragraphs to their list item', () => {
+            const html = `<ul><li><p data-note-tags="${tagged([{ label: 'To Do', checkable: true, checked: false }])}">Buy</p></li>` +
+                `<li><p data-note-tags="${tagged([{ label: 'Important' }])}">Pay</p><ul><li><p>x</p></li></ul></li></ul>`;
+            expect(td.turndown(html)).toBe('*   [ ] Buy\n*   Pay #important\n    *   x');
+        });
+
+        test('uses the configured mapping', () => {
+            const mapped = createMarkdownConverter({ noteTags: resolveNoteTagMap({ Important: 'urgent', Idea: false }) });
+            const html = `<p data-note-tags="${tagged([{ label: 'Important' }, { label: 'Idea' }])}">Ship it</p>`;
+            expect(mapped.turndown(html)).toBe('Ship it #urgent');
+        });
+    });
+
+    describe('Highlights and Colours', () => {
+        const highlighted = '<p>Pay <span style="background-color: rgb(255, 255, 0)">by Friday </span>and <span style="color: #C00000">call</span></p>';
+
+        test('turns highlights into ==text== and drops colours by default', () => {
+            expect(td.turndown(highlighted)).toBe('Pay ==by Friday== and call');
+        });
+
+        test('keeps both as inline HTML at the html level', () => {
+            const html = createMarkdownConverter({ styles: resolveStyleOptions({ styleFidelity: 'html' }) });
+            expect(html.turndown(highlighted))
+                .toBe('Pay <mark>by Friday</mark> and <span style="color: #c00000">call</span>');
+        });
+
+        test('drops everything at the plain level', () => {
+            const plain = createMarkdownConverter({ styles: resolveStyleOptions({ styleFidelity: 'plain' }) });
+            expect(plain.turndown(highlighted)).toBe('Pay by Friday and call');
+        });
+
+        test('applies the palette and ignores default colours', () => {
+            const mapped = createMarkdownConverter({
+                styles: resolveStyleOptions({ styleFidelity: 'html', palette: { yellow: false, '#c00000': 'crimson' } })
+            });
+            expect(mapped.turndown(highlighted)).toBe('Pay by Friday and <span style="color: crimson">call</span>');
+            expect(td.turndown('<span style="color: black; background-color: white">plain</span>')).toBe('plain');
+        });
+
+        test('combines with strikethrough', () => {
+            expect(td.turndown('<span style="background-color: yellow; text-decoration: line-through">old</span>')).toBe('~~==old==~~');
+        });
+    });
+
+    describe('Headings and Lists', () => {
+        test('writes paragraphs in heading styles as # headings', () => {
+            expect(td.turndown('<p data-heading-level="1">Plan</p><p data-heading-level="3">Step <b>one</b></p><p>Body</p>'))
+                .toBe('# Plan\n\n### Step **one**\n\nBody');
+            expect(td.turndown('<p data-heading-level="9">Deep<br>title</p>')).toBe('###### Deep title');
+            expect(td.turndown('<p data-heading-level="2"> </p><p>Body</p>')).toBe('Body');
+        });
+
+        test('keeps the heading of a paragraph with note tags', () => {
+            const tags = JSON.stringify([{ label: 'Important' }]).replace(/"/g, '&quot;');
+            expect(td.turndown(`<p data-heading-level="1" data-note-tags="${tags}">Title</p><p>Body</p>`))
+                .toBe('# Title #important\n\nBody');
+        });
+
+        test('keeps nested lists with paragraphs in their items tight', () => {
+            const html = '<ul><li><p>One</p><ul><li><p>Sub</p></li><li><p>Steps</p><ol><li><p>first</p></li><li><p>second</p></li></ol></li></ul></li>' +
+                '<li><p>Two</p><p>more</p></li></ul><p>After</p>';
+            expect(td.turndown(html)).toBe('*   One\n    *   Sub\n    *   Steps\n        1.  first\n        2.  second\n*   Two\n    more\n\nAfter');
+        });
+    });
+
+    describe('Code', () => {
+        test('writes monospace paragraph runs as fenced code blocks without escaping', () => {
+            const html = '<p>Install:</p><pre data-code-block="true"><code>npm install --save-dev *\n    cd my_app</code></pre>';
+            expect(td.turndown(html)).toBe('Install:\n\n```\nnpm install --save-dev *\n    cd my_app\n```');
+        });
+
+        test('adds a guessed language when asked', () => {
+            const guessing = createMarkdownConverter({ guessCodeLanguage: true });
+            expect(guessing.turndown('<pre data-code-block="true"><code>git status</code></pre>')).toBe('```bash\ngit status\n```');
+        });
+
+        test('writes monospace words as inline code', () => {
+            expect(td.turndown('<p>Run <span data-monospace="true">ls -l </span>first</p>')).toBe('Run `ls -l` first');
+            expect(td.turndown('<p><span data-monospace="true">a`b</span></p>')).toBe('``a`b``');
+        });
+
+        test('keeps highlighted or struck monospace words as code', () => {
+            expect(td.turndown('<p>Set <span data-monospace="true" style="background-color: yellow">my_var</span> now</p>'))
+                .toBe('Set ==`my_var`== now');
+            expect(td.turndown('<p><span data-monospace="true" style="text-decoration: line-through">old_name</span></p>'))
+                .toBe('~~`old_name`~~');
+        });
+    });
+
+    describe('Equations', () => {
+        test('writes inline and block equations as LaTeX', () => {
+            expect(td.turndown('<p>Energy <math><mi>E</mi><mo>=</mo><mi>m</mi><msup><mi>c</mi><mn>2</mn></msup></math> holds</p>'))
+                .toBe('Energy $E=mc^2$ holds');
+            expect(td.turndown('<p>Area</p><p><span data-equation-id="eq_0" data-equation-display="block"><math><mi>π</mi><msup><mi>r</mi><mn>2</mn></msup></math></span></p>'))
+                .toBe('Area\n\n$$\n\\pi r^2\n$$');
+        });
+
+        test('falls back to an image, or to the text, when the MathML cannot be converted', () => {
+            const html = '<p><span data-equation-id="eq_3"><math><menclose><mi>x</mi></menclose></math></span></p>';
+            const withImages = createMarkdownConverter({ onMathFallback: (id) => `Note_${id}.png` });
+            expect(withImages.turndown(html)).toBe('![[assets/Note_eq_3.png]]');
+            expect(td.turndown(html)).toBe('x');
+        });
+    });
+
     describe('OneNote Table Junk', () => {
         test('ignores TableHover elements', () => {
             const html = '<div class="TableHover">Hover UI</div><p>Content</p>';
@@ -101,6 +243,15 @@ describe('Parser - createMarkdownConverter', () => {
             // Turndown trims the output, so just verify the content is correct
             expect(markdown).toBe('Block content');
         });
+
+        test('reports the Markdown of outlines placed on a canvas', () => {
+            const outlines = {};
+            const converter = createMarkdownConverter({ onOutline: (id, markdown) => { outlines[id] = markdown; } });
+            const html = '<div class="OutlineContainer" data-layout-id="block_0"><p>One</p><p><img data-local-src="P_img_1"></p></div>' +
+                '<div class="OutlineContainer"><p>Unplaced</p></div>';
+            expect(converter.turndown(html)).toBe('One\n\n![[assets/P_img_1.png]]\n\nUnplaced');
+            expect(outlines).toEqual({ block_0: 'One\n\n![[assets/P_img_1.png]]' });
+        });
     });
 
     describe('Tables', () => {
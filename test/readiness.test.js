@@ -0,0 +1,102 @@
+const { pollUntilStable, waitForSectionReady, waitForPageReady, waitForContentFrame } = require('../src/readiness');
+
+const fastWaits = { frame: 300, section: 300, group: 300, page: 300, quiet: 30, sameListGrace: 100 };
+
+/**
+ * Fake Playwright frame: evaluate() answers from a scripted state object,
+ * picking the answer by the function's source (page list, canvas, selection).
+ */
+function createFakeFrame(state) {
+    return {
+        evaluate: async (fn) => {
+            const src = fn.toString();
+            if (src.includes('.pageNode')) return state.pages();
+            if (src.includes('OreoCanvas')) return state.canvas();
+            if (src.includes('aria-selected')) return state.selected();
+            return '';
+        }
+    };
+}
+
+describe('Readiness', () => {
+    describe('pollUntilStable', () => {
+        test('resolves once the value is ready and stops changing', async () => {
+            let calls = 0;
+            const ok = await pollUntilStable(
+                async () => (++calls < 3 ? `v${calls}` : 'final'),
+                (v) => v === 'final',
+                { timeout: 500, quiet: 30, interval: 10 }
+            );
+            expect(ok).toBe(true);
+            expect(calls).toBeGreaterThan(3);
+        });
+
+        test('resolves false when the condition is never met', async () => {
+            const ok = await pollUntilStable(async () => 'same', () => false, { timeout: 80, quiet: 10, interval: 10 });
+            expect(ok).toBe(false);
+        });
+
+        test('keeps polling when a read throws', async () => {
+            let calls = 0;
+            const ok = await pollUntilStable(async () => {
+                if (++calls === 1) throw new Error('Execution context was destroyed');
+                return 'ready';
+            }, (v) => v === 'ready', { timeout: 500, quiet: 20, interval: 10 });
+            expect(ok).toBe(true);
+        });
+    });
+
+    describe('waitForSectionReady', () => {
+        test('resolves when the page list changes', async () => {
+            let pages = 'a|b';
+            setTimeout(() => { pages = 'c|d'; }, 40);
+            const frame = createFakeFrame({ pages: () => pages, selected: () => false });
+
+            const started = Date.now();
+            expect(await waitForSectionReady(frame, 'sec', 'a|b', fastWaits)).toBe(true);
+            expect(Date.now() - started).toBeLessThan(fastWaits.section);
+        });
+
+        test('accepts an unchanged list once the section is selected', async () => {
+            const frame = createFakeFrame({ pages: () => '', selected: () => true });
+            expect(await waitForSectionReady(frame, 'sec', '', fastWaits)).toBe(true);
+        });
+
+        test('times out when nothing happens', async () => {
+            const frame = createFakeFrame({ pages: () => 'a|b', selected: () => false });
+            expect(await waitForSectionReady(frame, 'sec', 'a|b', fastWaits)).toBe(false);
+        });
+    });
+
+    describe('waitForPageReady', () => {
+        test('waits for the page to be selected and the canvas to settle', async () => {
+            let selected = false;
+            let canvas = '2:100:0:Old';
+            setTimeout(() => { selected = true; canvas = '3:50:1:New'; }, 30);
+            setTimeout(() => { canvas = '4:120:1:New'; }, 60);
+            const frame = createFakeFrame({ canvas: () => canvas, selected: () => selected });
+
+            expect(await waitForPageReady(frame, 'page', '2:100:0:Old', fastWaits)).toBe(true);
+            expect(canvas).toBe('4:120:1:New');
+        });
+
+        test('never accepts an empty canvas', async () => {
+            const frame = createFakeFrame({ canvas: () => '', selected: () => true });
+            expect(await waitForPageReady(frame, 'page', 'x', fastWaits)).toBe(false);
+        });
+    });
+
+    describe('waitForContentFrame', () => {
+        test('returns the frame hosting .sectionList', async () => {
+            const plain = { $: async () => null };
+            const nav = { $: async (sel) => (sel === '.sectionList' ? {} : null) };
+            const page = { frames: () => [plain, nav] };
+            expect(await waitForContentFrame(page, fastWaits)).toBe(nav);
+        });
+
+        test('returns null after the upper bound', async () => {
+            const page = { frames: () => [{ $: async () => { throw new Error('cross-origin'); } }] };
+            expect(await waitForContentFrame(page, fastWaits)).toBeNull();
+        });
+    });
+});
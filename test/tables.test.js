@@ -0,0 +1,106 @@
+const { createMarkdownConverter } = require('../src/parser');
+const { resolveTableStrategy } = require('../src/tables');
+
+describe('Tables', () => {
+    const merged = `
+        <table>
+            <tr><th colspan="2">Q1</th></tr>
+            <tr><td class="Cell">Jan &amp; Feb</td><td rowspan="2"><p>Total</p></td></tr>
+            <tr><td><div class="TableColumnResizeHandle"></div><span style="color: red">Mar</span></td></tr>
+        </table>`;
+    const simple = '<table><tr><td>A</td><td>B</td></tr><tr><td>1</td><td>2</td></tr></table>';
+
+    test('resolveTableStrategy defaults to auto and rejects unknown strategies', () => {
+        expect(resolveTableStrategy()).toBe('auto');
+        expect(() => resolveTableStrategy('latex')).toThrow('latex');
+    });
+
+    test('auto writes merged cells as a clean HTML table', () => {
+        expect(createMarkdownConverter().turndown(merged)).toBe([
+            '<table>',
+            '  <tr>',
+            '    <th colspan="2">Q1</th>',
+            '  </tr>',
+            '  <tr>',
+            '    <td>Jan &amp; Feb</td>',
+            '    <td rowspan="2"><p>Total</p></td>',
+            '  </tr>',
+            '  <tr>',
+            '    <td>Mar</td>',
+            '  </tr>',
+            '</table>'
+        ].join('\n'));
+    });
+
+    test('auto keeps simple tables as pipe tables', () => {
+        expect(createMarkdownConverter().turndown(simple)).toContain('| A | B |');
+    });
+
+    test('lists and nested tables in cells need HTML', () => {
+        const td = createMarkdownConverter();
+        expect(td.turndown('<table><tr><td><ul><li>one</li><li>two</li></ul></td></tr></table>'))
+            .toBe('<table>\n  <tr>\n    <td><ul><li>one</li><li>two</li></ul></td>\n  </tr>\n</table>');
+        expect(td.turndown(`<table><tr><td>${simple}</td></tr></table>`))
+            .toBe('<table>\n  <tr>\n    <td><table><tr><td>A</td><td>B</td></tr><tr><td>1</td><td>2</td></tr></table></td>\n  </tr>\n</table>');
+    });
+
+    test('keeps local assets and internal links in HTML tables', () => {
+        const td = createMarkdownConverter({ tableStrategy: 'html' });
+        const html = '<table><tr><td><img data-local-src="Page_img_1"></td>' +
+            '<td><a href="onenote:x" data-internal-link="link_0">Other page</a></td></tr></table>';
+        expect(td.turndown(html)).toContain(
+            '<td><img src="assets/Page_img_1.png"></td>\n    <td>[[Other page]]<!-- onenote-link:link_0 --></td>'
+        );
+    });
+
+    test('keeps the whitespace of code in cells', () => {
+        const td = createMarkdownConverter({ tableStrategy: 'html' });
+        const html = '<table><tr><td><pre>\n  if (a &lt; b) {\n    run();\n  }</pre></td><td>a   b</td></tr></table>';
+        expect(td.turndown(html)).toContain(
+            '<td><pre>  if (a &lt; b) {<br>    run();<br>  }</pre></td>\n    <td>a b</td>'
+        );
+    });
+
+    test('links shared assets from another section relative to the note', () => {
+        const td = createMarkdownConverter({ tableStrategy: 'html', getNoteFolder: () => 'Private/Diary' });
+        const html = '<table><tr><td><img data-local-src="Work/assets/Plan_img_1.png"></td>' +
+            '<td><a data-local-file="Work/assets/Budget.xlsx">Budget.xlsx</a></td></tr></table>';
+        expect(td.turndown(html)).toContain(
+            '<td><img src="../../Work/assets/Plan_img_1.png"></td>\n    <td><a href="../../Work/assets/Budget.xlsx">Budget.xlsx</a></td>'
+        );
+    });
+
+    test('converts equations, highlights and note tags in merged cells', () => {
+        const html = '<table>' +
+            '<tr><td rowspan="2"><span data-equation-id="eq_0"><math><mi>x</mi><mo>⋅</mo>' +
+            '<msup><mi>y</mi><mn>2</mn></msup></math></span></td>' +
+            '<td><span style="background-color: yellow">hot</span> <span style="color: red">red</span></td></tr>' +
+            '<tr><td><p data-note-tags=\'[{"label":"To Do","checkable":true,"checked":true}]\'>Ship</p>' +
+            '<p data-note-tags=\'[{"label":"Important"}]\'>Check</p></td></tr>' +
+            '</table>';
+        expect(createMarkdownConverter().turndown(html)).toBe([
+            '<table>',
+            '  <tr>',
+            '    <td rowspan="2">$x\\cdot y^2$</td>',
+            '    <td><mark>hot</mark> red</td>',
+            '  </tr>',
+            '  <tr>',
+            '    <td><p><input type="checkbox" disabled checked> Ship</p><p>Check #important</p></td>',
+            '  </tr>',
+            '</table>'
+        ].join('\n'));
+
+        const htmlLevel = createMarkdownConverter({ styles: { level: 'html', palette: new Map() } });
+        expect(htmlLevel.turndown(html)).toContain('<mark>hot</mark> <span style="color: #ff0000">red</span>');
+    });
+
+    test('embeds the image of equations that cannot be converted', () => {
+        const td = createMarkdownConverter({ tableStrategy: 'html', onMathFallback: (id) => `Page_${id}.png` });
+        expect(td.turndown('<table><tr><td><span data-equation-id="eq_1"><math><mglyph/></math>E</span></td></tr></table>'))
+            .toContain('<td><img src="assets/Page_eq_1.png"></td>');
+    });
+
+    test('gfm always writes pipe tables', () => {
+        expect(createMarkdownConverter({ tableStrategy: 'gfm' }).turndown(merged)).toContain('| Q1 |');
+    });
+});
@@ -0,0 +1,22 @@
+const { normalizeColor, resolveStyleOptions } = require('../src/textStyles');
+
+describe('Text styles', () => {
+    test('normalizeColor accepts hex, rgb() and colour names', () => {
+        expect(normalizeColor('#FF0')).toBe('#ffff00');
+        expect(normalizeColor('rgb(255, 0, 0)')).toBe('#ff0000');
+        expect(normalizeColor('rgba(0, 0, 0, 0)')).toBe('transparent');
+        expect(normalizeColor('Yellow')).toBe('#ffff00');
+        expect(normalizeColor('')).toBeNull();
+    });
+
+    test('resolveStyleOptions defaults to obsidian and normalizes the palette', () => {
+        const { level, palette } = resolveStyleOptions({ palette: { yellow: '#fff3a3', 'rgb(0, 255, 255)': false } });
+        expect(level).toBe('obsidian');
+        expect([...palette]).toEqual([['#ffff00', '#fff3a3'], ['#00ffff', '']]);
+    });
+
+    test('rejects unknown levels and malformed palettes', () => {
+        expect(() => resolveStyleOptions({ styleFidelity: 'rich' })).toThrow('rich');
+        expect(() => resolveStyleOptions({ palette: { red: 1 } })).toThrow('red');
+    });
+});